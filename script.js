@@ -6,38 +6,77 @@ document.addEventListener('DOMContentLoaded', () => {
     // Profile Management Elements
     const profileSelect = document.getElementById('profile-select');
     const profileSettingsBtn = document.getElementById('profile-settings-btn');
+    const termSelect = document.getElementById('term-select');
+    const manageTermsButton = document.getElementById('manage-terms-btn');
+    const manageSubjectsButton = document.getElementById('manage-subjects-btn');
     const profileMenu = document.getElementById('profile-menu');
     const addProfileButton = document.getElementById('add-profile-btn');
     const renameProfileButton = document.getElementById('rename-profile-btn');
+    const duplicateProfileButton = document.getElementById('duplicate-profile-btn');
+    const workloadLimitButton = document.getElementById('workload-limit-btn');
+    const studySettingsButton = document.getElementById('study-settings-btn');
     const deleteProfileButton = document.getElementById('delete-profile-btn');
     
     // Export/Import Buttons
     const exportDataButton = document.getElementById('export-data-btn');
     const importDataButton = document.getElementById('import-data-btn');
     const importFileInput = document.getElementById('import-file');
+    const exportCalendarButton = document.getElementById('export-calendar-btn');
+    const importCalendarButton = document.getElementById('import-calendar-btn');
+    const importCalendarFileInput = document.getElementById('import-calendar-file');
+    const exportCsvButton = document.getElementById('export-csv-btn');
+    const importCsvButton = document.getElementById('import-csv-btn');
+    const importCsvFileInput = document.getElementById('import-csv-file');
     
     // Filter and Tab Elements
     const searchInput = document.getElementById('search-input');
+    const searchError = document.getElementById('search-error');
+    const saveFilterButton = document.getElementById('save-filter-btn');
+    const savedFiltersBar = document.getElementById('saved-filters');
     const subjectFilter = document.getElementById('subject-filter');
+    const scoreFilter = document.getElementById('score-filter');
+    const gradeCalculatorBtn = document.getElementById('grade-calculator-btn');
     const tabControls = document.getElementById('tab-controls');
 
     // View Controls
     const viewToggle = document.getElementById('view-toggle');
     const listView = document.getElementById('list-view');
     const calendarView = document.getElementById('calendar-view');
+    const bulkActionsBar = document.getElementById('bulk-actions');
+    const bulkCount = document.getElementById('bulk-count');
+    const selectAllCheckbox = document.getElementById('select-all-tasks');
     
     // Calendar Elements
     const calendarHeader = document.getElementById('current-month-year');
     const calendarGrid = document.getElementById('calendar-grid');
     const prevMonthBtn = document.getElementById('prev-month-btn');
     const nextMonthBtn = document.getElementById('next-month-btn');
+    const calendarAgenda = document.getElementById('calendar-agenda');
+    const agendaDaysSelect = document.getElementById('agenda-days');
+    const showCompletedToggle = document.getElementById('calendar-show-completed');
+    const heatmapToggle = document.getElementById('calendar-heatmap');
 
     // Form Field References
     const subjectInput = document.getElementById('subject');
+    const subjectOptionsList = document.getElementById('subject-options');
     const assessmentInput = document.getElementById('assessment');
     const deadlineInput = document.getElementById('deadline');
+    const dueTimeInput = document.getElementById('due-time');
     const weightingInput = document.getElementById('weighting');
+    const scoreFields = document.getElementById('score-fields');
+    const scoreInput = document.getElementById('score');
+    const scoreOutOfInput = document.getElementById('score-out-of');
     const notesInput = document.getElementById('notes'); 
+    const taskRemindersInput = document.getElementById('task-reminders');
+    const estimatedHoursInput = document.getElementById('estimated-hours');
+    const taskTermInput = document.getElementById('task-term');
+    const recurrenceFields = document.getElementById('recurrence-fields');
+    const recurrenceFrequencyInput = document.getElementById('recurrence-frequency');
+    const recurrenceOptions = document.getElementById('recurrence-options');
+    const recurrenceEndTypeInput = document.getElementById('recurrence-end-type');
+    const recurrenceCountInput = document.getElementById('recurrence-count');
+    const recurrenceUntilInput = document.getElementById('recurrence-until');
+    const recurrenceSkipInput = document.getElementById('recurrence-skip');
     const subjectColorPreview = document.getElementById('subject-color-preview'); 
 
     // Form Button Reference
@@ -47,6 +86,35 @@ document.addEventListener('DOMContentLoaded', () => {
     const reminderBanner = document.getElementById('reminder-banner');
     const reminderMessage = document.getElementById('reminder-message');
     const reminderCloseBtn = document.getElementById('reminder-close-btn');
+    const reminderSnoozeControls = document.getElementById('reminder-snooze-controls');
+    const reminderSettingsButton = document.getElementById('reminder-settings-btn');
+    const syncSettingsButton = document.getElementById('sync-settings-btn');
+
+    // Timer Bar Elements
+    const timerBar = document.getElementById('timer-bar');
+    const timerLabel = document.getElementById('timer-label');
+    const timerStopBtn = document.getElementById('timer-stop-btn');
+
+    // Study Plan Element
+    const studyPlanSection = document.getElementById('study-plan');
+
+    // Grade Summary Element
+    const gradeSummary = document.getElementById('grade-summary');
+
+    // Undo Toast Elements
+    const toast = document.getElementById('toast');
+    const toastMessage = document.getElementById('toast-message');
+    const toastActionBtn = document.getElementById('toast-action-btn');
+    const updateBanner = document.getElementById('update-banner');
+    const updateReloadBtn = document.getElementById('update-reload-btn');
+    const updateLaterBtn = document.getElementById('update-later-btn');
+    const syncStatusButton = document.getElementById('sync-status');
+
+    // Modal Dialog Elements
+    const modalOverlay = document.getElementById('modal-overlay');
+    const modalTitle = document.getElementById('modal-title');
+    const modalBody = document.getElementById('modal-body');
+    const modalCloseBtn = document.getElementById('modal-close-btn');
     
     // --- CRITICAL STATE VARIABLES & CONSTANTS ---
     let currentSortColumn = 'deadline'; 
@@ -54,121 +122,848 @@ document.addEventListener('DOMContentLoaded', () => {
     let currentTab = 'active';
     let currentView = 'list';
     let currentCalendarDate = new Date(); 
+    let calendarMode = 'month'; // 'month' | 'week' | 'agenda' within the calendar view
+    let showCompletedOnCalendar = false;
+    let showWorkloadHeatmap = false;
     let editingTaskId = null; 
+    let lastTaskId = 0;
+    let storageReadOnly = false; // Set when unreadable data couldn't be quarantined
+    let trackerDb = null; // IDBDatabase once opened; null while loading or when falling back to localStorage
+    let storeLoaded = false; // Nothing is saved until the stored data has been loaded
+    let syncChannel = null;
+    let storedRecord = { raw: null, revision: 0, writer: '' }; // The saved JSON plus who saved it (see TRACKER STORE)
+    let cachedData = null; // storedRecord.raw parsed, shared by the read-only accessors
+    let syncStatus = 'off';
+    let syncInProgress = false;
+    let syncTimer = null;
+    let syncedRaw = null; // storedRecord.raw as of the last completed sync
+    let syncDecisions = []; // Conflicts settled in the dialog: { title, mine, theirs, useTheirs }
+    const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    let historyRecordedThisTick = false;
+    let undoHistory = { undo: [], redo: [] }; // Loaded with the data (see UNDO / REDO HISTORY)
+    let toastTimer = null;
+    const expandedTaskIds = new Set(); // Rows whose subtask checklist is open
+    const selectedTaskIds = new Set(); // Rows ticked for a bulk action
+    let shownTaskIds = []; // Rows in the list right now, for select-all
+    let activeReminder = null; // { profileName, taskId, text } of the reminder shown in the banner
     
     const DEFAULT_PROFILE = 'My Profile';
-    const STORAGE_KEY = 'trackerData';
+    const STORAGE_KEY = 'trackerData'; // Key of the data in IndexedDB, and in localStorage before the move / without IndexedDB
+    const TRACKER_DB_NAME = 'assessmentTracker';
+    const TRACKER_DB_STORE = 'store';
+    const SYNC_CHANNEL_NAME = 'trackerData'; // BroadcastChannel that tells other tabs about saves
+    const SYNC_SETTINGS_KEY = 'syncSettings'; // Per device: { url, authorization, auto }
+    const SYNC_BASE_KEY = 'syncBase'; // The data as of the last server sync, for three-way merges
+    const SYNC_INTERVAL = 5 * 60 * 1000;
+    const SYNC_DEBOUNCE = 5000; // Wait this long after the last change before syncing it
+    const QUARANTINE_KEY_PREFIX = 'trackerData_quarantine_';
+    const SCHEMA_VERSION = 10;
+    const MAX_SERIES_OCCURRENCES = 100;
+    const HISTORY_KEY = 'trackerHistory'; // Stored next to the data (IndexedDB or localStorage)
+    const HISTORY_LIMIT = 30;
+    const REMINDER_LOG_KEY = 'reminderLog';
+    const FORM_DRAFT_KEY = 'trackerFormDraft'; // sessionStorage: survives the reload that applies an update
+    const DEFAULT_REMINDER_SETTINGS = {
+        rules: ['7d', '1d', '2h'],         // Default reminders before each deadline
+        highWeightThreshold: 30,           // Tasks weighted at least this much (%)...
+        highWeightRules: ['14d'],          // ...also get these earlier reminders
+        urgentDays: 3                      // Banner/row highlight threshold
+    };
+    const REMINDER_UNITS = { m: 1, h: 60, d: 60 * 24, w: 60 * 24 * 7 };
+    const REMINDER_CHECK_INTERVAL = 60 * 1000;
+    const DEFAULT_WORKLOAD_THRESHOLD = 50; // Total weighting (%) due in one week before it counts as a clash
+    const DEFAULT_STUDY_SETTINGS = {
+        dailyHours: 3, // Study capacity per day
+        daysOff: [],   // Weekdays with no study (0 = Sunday)
+        offDates: []   // Individual days off, as YYYY-MM-DD keys
+    };
+    const MIN_STUDY_BLOCK = 0.5; // Hours; effort isn't spread thinner than this
+    const ACTIVE_TIMER_KEY = 'activeTimer'; // Global (not per profile) so a running timer survives reloads and profile switches
+    const POMODORO_WORK_MINUTES = 25;
+    const POMODORO_BREAK_MINUTES = 5;
     const COLORS = ['#FF6347', '#4682B4', '#3CB371', '#FFD700', '#9370DB', '#00CED1', '#FFA07A', '#F08080']; 
+    // Font Awesome (solid) icons offered for subjects, as [class suffix, label]
+    const SUBJECT_ICONS = [
+        ['book', 'Book'], ['flask', 'Chemistry'], ['atom', 'Physics'], ['dna', 'Biology'],
+        ['microscope', 'Science'], ['calculator', 'Maths'], ['square-root-alt', 'Algebra'],
+        ['chart-line', 'Economics'], ['laptop-code', 'Computing'], ['globe-americas', 'Geography'],
+        ['landmark', 'History'], ['language', 'Languages'], ['pen-nib', 'Writing'],
+        ['palette', 'Art'], ['music', 'Music'], ['theater-masks', 'Drama'], ['running', 'Sport'],
+        ['balance-scale', 'Law'], ['brain', 'Psychology'], ['graduation-cap', 'General']
+    ];
 
 
     // =================================================================
-    // PERSISTENCE (Local Storage) Functions - ROBUST DATA CHECK
+    // PERSISTENCE (cached IndexedDB store) Functions - VERSIONED SCHEMA
     // =================================================================
 
-    function getTrackerData() {
-        const defaultData = {
+    function createEmptyProfile() {
+        return {
+            tasks: [],
+            subjectColors: {},
+            subjectIcons: {},
+            series: {}, // Recurrence rules, keyed by the seriesId shared by their generated tasks
+            reminderSettings: { ...DEFAULT_REMINDER_SETTINGS },
+            workloadThreshold: DEFAULT_WORKLOAD_THRESHOLD,
+            studySettings: { ...DEFAULT_STUDY_SETTINGS },
+            terms: [],
+            selectedTermId: 'all', // 'all' = every term that isn't archived
+            savedFilters: []
+        };
+    }
+
+    function createDefaultData() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
             activeProfile: DEFAULT_PROFILE,
             profiles: {
-                [DEFAULT_PROFILE]: {
-                    tasks: [],
-                    subjectColors: {}
-                }
+                [DEFAULT_PROFILE]: createEmptyProfile()
             }
         };
-        
-        const data = localStorage.getItem(STORAGE_KEY);
-        if (data) {
-            try {
-                const parsedData = JSON.parse(data);
+    }
 
-                // 1. Check if the top-level structure is missing/invalid
-                if (!parsedData || typeof parsedData !== 'object' || !parsedData.profiles) {
-                     console.warn("Local storage data was malformed or missing the 'profiles' object. Reverting to default structure.");
-                     return defaultData;
+    // Ordered migration steps: MIGRATIONS[n] upgrades a blob from schemaVersion n to n + 1.
+    // Data saved before versioning was introduced has no schemaVersion and counts as version 0.
+    const MIGRATIONS = [
+        // 0 -> 1: profiles stored as a bare array of tasks become { tasks, subjectColors },
+        // missing keys are filled in and a missing/unknown activeProfile is repaired.
+        (data) => {
+            const profiles = {};
+            for (const profileName in data.profiles) {
+                let profile = data.profiles[profileName];
+                if (Array.isArray(profile)) {
+                    profile = { tasks: profile, subjectColors: {} };
                 }
-                
-                // 2. Ensure every profile has the necessary keys (tasks and subjectColors)
-                for (const profileName in parsedData.profiles) {
-                    let profile = parsedData.profiles[profileName];
-                    
-                    // Handle legacy format where profile data was just an array of tasks
-                    if (Array.isArray(profile)) {
-                         profile = { tasks: profile, subjectColors: {} };
-                    }
-                    
+                if (profile && typeof profile === 'object') {
                     if (!profile.tasks) profile.tasks = [];
                     if (!profile.subjectColors) profile.subjectColors = {};
+                }
+                profiles[profileName] = profile;
+            }
+            if (Object.keys(profiles).length === 0) {
+                profiles[DEFAULT_PROFILE] = { tasks: [], subjectColors: {} };
+            }
+
+            const activeProfile = profiles.hasOwnProperty(data.activeProfile)
+                ? data.activeProfile
+                : Object.keys(profiles)[0];
+            return { ...data, activeProfile, profiles, schemaVersion: 1 };
+        },
+
+        // 1 -> 2: profiles gain a `series` map for recurring assessments
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (profile && typeof profile === 'object' && !profile.series) profile.series = {};
+            }
+            return { ...data, schemaVersion: 2 };
+        },
+
+        // 2 -> 3: deadlines become a local calendar date ('YYYY-MM-DD') plus an optional local
+        // `dueTime` ('HH:MM'). Date-only deadlines are kept exactly as they are, so no task moves
+        // to another day; full timestamps (from older imports) are split into local date + time.
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (!profile || !Array.isArray(profile.tasks)) continue;
+                profile.tasks.forEach(task => {
+                    if (!task || typeof task !== 'object') return;
+                    if (typeof task.deadline === 'string' && task.deadline.includes('T')) {
+                        const instant = new Date(task.deadline);
+                        if (!isNaN(instant)) {
+                            task.deadline = formatDateKey(instant);
+                            task.dueTime = formatTimeKey(instant);
+                            return;
+                        }
+                    }
+                    if (task.dueTime === undefined) task.dueTime = null;
+                });
+            }
+            return { ...data, schemaVersion: 3 };
+        },
 
-                    parsedData.profiles[profileName] = profile;
+        // 3 -> 4: profiles gain configurable `reminderSettings`; tasks gain `reminders`
+        // (null = use the profile's rules, [] = no reminders, or their own list like ['3d', '2h'])
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (!profile || typeof profile !== 'object') continue;
+                if (!profile.reminderSettings) profile.reminderSettings = { ...DEFAULT_REMINDER_SETTINGS };
+                (profile.tasks || []).forEach(task => {
+                    if (task.reminders === undefined) task.reminders = null;
+                });
+            }
+            return { ...data, schemaVersion: 4 };
+        },
+
+        // 4 -> 5: profiles gain a `workloadThreshold` for week clash warnings
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (profile && typeof profile === 'object' && profile.workloadThreshold === undefined) {
+                    profile.workloadThreshold = DEFAULT_WORKLOAD_THRESHOLD;
                 }
-                
-                // 3. Ensure an active profile is set and exists
-                const profileKeys = Object.keys(parsedData.profiles);
-                if (!parsedData.activeProfile || !parsedData.profiles.hasOwnProperty(parsedData.activeProfile)) {
-                     // Set the active profile to the first available profile if the current one is missing
-                     parsedData.activeProfile = profileKeys[0] || DEFAULT_PROFILE;
+            }
+            return { ...data, schemaVersion: 5 };
+        },
+
+        // 5 -> 6: profiles gain `studySettings` for the planner; tasks gain `estimatedHours`
+        // (null = not planned) and a `workLog` of { date, hours } entries
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (!profile || typeof profile !== 'object') continue;
+                if (!profile.studySettings) profile.studySettings = { ...DEFAULT_STUDY_SETTINGS };
+                (profile.tasks || []).forEach(task => {
+                    if (task.estimatedHours === undefined) task.estimatedHours = null;
+                    if (!Array.isArray(task.workLog)) task.workLog = [];
+                });
+            }
+            return { ...data, schemaVersion: 6 };
+        },
+
+        // 6 -> 7: tasks gain timed `sessions` ({ id, start, end, mode } with ms timestamps)
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (!profile || typeof profile !== 'object') continue;
+                (profile.tasks || []).forEach(task => {
+                    if (!Array.isArray(task.sessions)) task.sessions = [];
+                });
+            }
+            return { ...data, schemaVersion: 7 };
+        },
+
+        // 7 -> 8: profiles gain `terms` ({ id, name, start, end, archived }) and the term shown in
+        // the switcher; tasks gain `termId` (null = whichever term their deadline falls in)
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (!profile || typeof profile !== 'object') continue;
+                if (!Array.isArray(profile.terms)) profile.terms = [];
+                if (!profile.selectedTermId) profile.selectedTermId = 'all';
+                (profile.tasks || []).forEach(task => {
+                    if (task.termId === undefined) task.termId = null;
+                });
+            }
+            return { ...data, schemaVersion: 8 };
+        },
+
+        // 8 -> 9: profiles gain `subjectIcons` (subject -> Font Awesome icon name, e.g. 'flask')
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (profile && typeof profile === 'object' && !profile.subjectIcons) profile.subjectIcons = {};
+            }
+            return { ...data, schemaVersion: 9 };
+        },
+
+        // 9 -> 10: profiles gain `savedFilters` ({ id, name, query }) shown as chips above the table
+        (data) => {
+            for (const profileName in data.profiles) {
+                const profile = data.profiles[profileName];
+                if (profile && typeof profile === 'object' && !Array.isArray(profile.savedFilters)) profile.savedFilters = [];
+            }
+            return { ...data, schemaVersion: 10 };
+        }
+    ];
+
+    // Runs every migration step between the blob's version and SCHEMA_VERSION.
+    // Throws if the blob isn't tracker data at all or was written by a newer version of the app.
+    function migrateTrackerData(data) {
+        if (!data || typeof data !== 'object' || !data.profiles || typeof data.profiles !== 'object') {
+            throw new Error("Data is missing the 'profiles' object.");
+        }
+
+        let version = data.schemaVersion || 0;
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Data was saved by a newer version of the tracker (schema ${version}, this version understands up to ${SCHEMA_VERSION}).`);
+        }
+
+        let migrated = data;
+        while (version < SCHEMA_VERSION) {
+            migrated = MIGRATIONS[version](migrated);
+            version++;
+            migrated.schemaVersion = version;
+        }
+        return migrated;
+    }
+
+    // Throws an Error describing the first problem found in an (already migrated) blob
+    function validateTrackerData(data) {
+        const profileNames = Object.keys(data.profiles);
+        if (Array.isArray(data.profiles) || profileNames.length === 0) {
+            throw new Error('Data contains no profiles.');
+        }
+        if (!data.profiles.hasOwnProperty(data.activeProfile)) {
+            throw new Error(`Active profile "${data.activeProfile}" does not exist.`);
+        }
+
+        profileNames.forEach(profileName => {
+            const profile = data.profiles[profileName];
+            if (!profile || typeof profile !== 'object' || !Array.isArray(profile.tasks)) {
+                throw new Error(`Profile "${profileName}" has no task list.`);
+            }
+            if (!profile.subjectColors || typeof profile.subjectColors !== 'object') {
+                throw new Error(`Profile "${profileName}" has invalid subject colours.`);
+            }
+            if (!profile.series || typeof profile.series !== 'object') {
+                throw new Error(`Profile "${profileName}" has invalid recurrence data.`);
+            }
+            profile.tasks.forEach((task, index) => {
+                if (!task || typeof task !== 'object' || task.id === undefined || task.id === null) {
+                    throw new Error(`Task ${index + 1} in profile "${profileName}" has no id.`);
                 }
-                
-                // 4. If profiles list is empty for some reason, ensure default is present
-                if (profileKeys.length === 0) {
-                    return defaultData;
+                if (typeof task.subject !== 'string' || typeof task.assessment !== 'string' || typeof task.deadline !== 'string') {
+                    throw new Error(`Task ${index + 1} in profile "${profileName}" is missing its subject, assessment or deadline.`);
                 }
+            });
+        });
+    }
 
-                return parsedData;
+    // Moves unreadable data aside under its own key instead of letting the next save overwrite it
+    function quarantineTrackerData(raw, error) {
+        const quarantineKey = `${QUARANTINE_KEY_PREFIX}${Date.now()}`;
+        console.error(`Stored tracker data failed to load and was quarantined as "${quarantineKey}".`, error);
 
-            } catch (e) {
-                console.error("Error parsing data from local storage. Starting fresh.", e);
-                // If parsing fails (e.g., bad JSON), use the default structure
-                return defaultData;
-            }
+        try {
+            localStorage.setItem(quarantineKey, raw);
+            writeStoredRaw(null);
+        } catch (e) {
+            // No room for a copy: leave the original untouched and refuse to save over it
+            console.error('Could not quarantine tracker data. Saving is disabled to protect it.', e);
+            storageReadOnly = true;
+            alert(`Your saved tracker data could not be read (${error.message}) and there isn't enough storage space to set it aside. ` +
+                'Changes will NOT be saved in this session so the original data is kept safe.');
+            return;
+        }
+
+        if (confirm(`Your saved tracker data could not be read (${error.message}).\n\n` +
+            `It has been set aside in this browser's storage as "${quarantineKey}" and the tracker has started fresh.\n\n` +
+            'Download a copy of the unreadable data now?')) {
+            downloadFile(raw, `${quarantineKey}.json`, 'application/json');
         }
-        // If no data exists in local storage, return the default structure
-        return defaultData;
+    }
+
+    // The parsed data, shared with every other reader and only re-parsed after a save.
+    // Don't modify it: take a copy with getTrackerData() for anything that will be saved.
+    function readTrackerData() {
+        if (cachedData) return cachedData;
+        const raw = storedRecord.raw;
+        // If nothing has been saved yet, start from the default structure
+        if (!raw) return (cachedData = createDefaultData());
+
+        try {
+            const parsedData = JSON.parse(raw);
+            const needsUpgrade = parsedData?.schemaVersion !== SCHEMA_VERSION;
+            const data = migrateTrackerData(parsedData);
+            validateTrackerData(data);
+
+            // Persist the upgrade once so migrations don't rerun on every load
+            if (needsUpgrade) setTrackerData(data);
+            return (cachedData = data);
+        } catch (e) {
+            if (!storageReadOnly) quarantineTrackerData(raw, e);
+            return (cachedData = createDefaultData());
+        }
+    }
+
+    // A private copy of the data that the caller may change and pass to setTrackerData
+    function getTrackerData() {
+        return JSON.parse(JSON.stringify(readTrackerData()));
     }
     
-    function setTrackerData(data) {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    // Passing a historyLabel makes the write undoable (see UNDO / REDO HISTORY)
+    function setTrackerData(data, historyLabel) {
+        if (storageReadOnly) return;
+        if (historyLabel) recordHistory(historyLabel);
+        data.schemaVersion = SCHEMA_VERSION;
+        writeStoredRaw(JSON.stringify(data));
     }
 
+    // The active profile's tasks, straight from the cache (see readTrackerData)
     function getAssessments() {
-        const data = getTrackerData();
+        const data = readTrackerData();
         const profile = data.profiles[data.activeProfile];
         return (profile && profile.tasks) ? profile.tasks : [];
     }
+
+    // A private copy of the active profile's tasks, to change and pass to updateCurrentProfileAssessments
+    function getEditableAssessments() {
+        const data = getTrackerData();
+        return data.profiles[data.activeProfile]?.tasks || [];
+    }
     
-    function updateCurrentProfileAssessments(newTasks) {
+    function updateCurrentProfileAssessments(newTasks, historyLabel = 'Edit assessments') {
         const data = getTrackerData();
-        const profile = data.profiles[data.activeProfile] || { tasks: [], subjectColors: {} };
+        const profile = data.profiles[data.activeProfile] || createEmptyProfile();
         profile.tasks = newTasks;
         data.profiles[data.activeProfile] = profile;
-        setTrackerData(data);
+        setTrackerData(data, historyLabel);
     }
     
     function getSubjectColorMap() {
-        const data = getTrackerData();
+        const data = readTrackerData();
         const profile = data.profiles[data.activeProfile];
         return (profile && profile.subjectColors) ? profile.subjectColors : {};
     }
 
+    function getSubjectIconMap() {
+        const data = readTrackerData();
+        return data.profiles[data.activeProfile]?.subjectIcons || {};
+    }
+
+    // <i> for a subject's icon, or null if it has none
+    function createSubjectIcon(subject, iconMap = getSubjectIconMap()) {
+        if (!iconMap[subject]) return null;
+        const icon = document.createElement('i');
+        icon.className = `fas fa-${iconMap[subject]} subject-icon`;
+        icon.setAttribute('aria-hidden', 'true');
+        return icon;
+    }
+
     function setSubjectColor(subject, color) {
         const data = getTrackerData();
         const profile = data.profiles[data.activeProfile];
         if (profile) {
             profile.subjectColors[subject] = color;
-            setTrackerData(data);
+            setTrackerData(data, `Change colour of "${subject}"`);
+        }
+    }
+
+    // =================================================================
+    // TRACKER STORE (IndexedDB, in-memory cache, cross-tab sync)
+    // =================================================================
+
+    // The data lives as one JSON string in IndexedDB. It's loaded once at startup and kept in
+    // storedRecord; reads go through the parsed cache and saves update it synchronously, then
+    // write to IndexedDB in the background. Each save carries a revision number and the id of the
+    // tab that made it. A save whose starting point is no longer what's stored (another tab saved
+    // first) is merged into the stored data rather than replacing it. Other tabs hear about saves
+    // over a BroadcastChannel, take the higher revision (the tab id breaks ties) and re-render.
+    // Without IndexedDB the data stays in localStorage and the `storage` event does the syncing.
+    // The undo history is kept beside the data; the reminder log and timer are small and stay in
+    // localStorage.
+
+    function isNewerRecord(record, than) {
+        return record.revision > than.revision || (record.revision === than.revision && record.writer > than.writer);
+    }
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Resolves with null when IndexedDB isn't available (e.g. some private browsing modes)
+    function openTrackerDb() {
+        if (!window.indexedDB) return Promise.resolve(null);
+        return new Promise(resolve => {
+            const request = indexedDB.open(TRACKER_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(TRACKER_DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB is unavailable; keeping tracker data in localStorage.', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        });
+    }
+
+    function readStoredRecord() {
+        const store = trackerDb.transaction(TRACKER_DB_STORE).objectStore(TRACKER_DB_STORE);
+        return requestToPromise(store.get(STORAGE_KEY));
+    }
+
+    // Loads the data before anything renders
+    async function loadTrackerStore() {
+        await connectTrackerStore();
+        undoHistory = await readStoredHistory();
+        cachedData = null; // Drop anything read before loading finished
+        storeLoaded = true;
+    }
+
+    // The first run with IndexedDB moves the localStorage blob across, removing it only
+    // once the copy is safely stored.
+    async function connectTrackerStore() {
+        trackerDb = await openTrackerDb();
+        if (!trackerDb) {
+            storedRecord = { raw: localStorage.getItem(STORAGE_KEY), revision: 0, writer: '' };
+            window.addEventListener('storage', (e) => {
+                if (e.key === HISTORY_KEY) undoHistory = parseHistory(e.newValue);
+                if (e.key !== STORAGE_KEY) return;
+                storedRecord = { raw: e.newValue, revision: 0, writer: '' };
+                refreshFromOtherTab();
+            });
+            return;
+        }
+
+        let record = await readStoredRecord().catch(() => null);
+        const legacyRaw = localStorage.getItem(STORAGE_KEY);
+        if (!record && legacyRaw !== null) {
+            record = { raw: legacyRaw, revision: 1, writer: TAB_ID };
+            try {
+                const tx = trackerDb.transaction(TRACKER_DB_STORE, 'readwrite');
+                tx.objectStore(TRACKER_DB_STORE).put(record, STORAGE_KEY);
+                await new Promise((resolve, reject) => {
+                    tx.oncomplete = resolve;
+                    tx.onerror = tx.onabort = () => reject(tx.error);
+                });
+                localStorage.removeItem(STORAGE_KEY);
+            } catch (e) {
+                console.error('Could not move tracker data to IndexedDB; staying on localStorage.', e);
+                trackerDb = null;
+                storedRecord = { raw: legacyRaw, revision: 0, writer: '' };
+                return;
+            }
+        }
+        if (record) storedRecord = record;
+
+        if ('BroadcastChannel' in window) {
+            syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+            syncChannel.onmessage = (e) => adoptRecord(e.data);
+        }
+        // Catch up on anything missed while hidden (and the only sync without BroadcastChannel)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible') return;
+            readStoredRecord().then(adoptRecord).catch(() => {});
+            readStoredHistory().then(history => { undoHistory = history; });
+        });
+    }
+
+    // Saves `raw` (null clears the data) to the cache now and to storage in the background
+    function writeStoredRaw(raw) {
+        if (!storeLoaded) return;
+        const base = storedRecord;
+        storedRecord = { raw, revision: storedRecord.revision + 1, writer: TAB_ID };
+        cachedData = null;
+        scheduleSync();
+
+        if (!trackerDb) {
+            if (raw === null) localStorage.removeItem(STORAGE_KEY);
+            else localStorage.setItem(STORAGE_KEY, raw);
+            return;
+        }
+        persistRecord(storedRecord, base);
+    }
+
+    // Writes a record made on top of `base`. If another tab has stored something else meanwhile,
+    // this tab's change (from base to record) is merged into that the way a sync merges with the
+    // server, and the result is stored instead. Both run in one transaction so they can't interleave.
+    function persistRecord(record, base) {
+        const tx = trackerDb.transaction(TRACKER_DB_STORE, 'readwrite');
+        const store = tx.objectStore(TRACKER_DB_STORE);
+        let written = record;
+        let outcome = 'saved';
+        store.get(STORAGE_KEY).onsuccess = (e) => {
+            const current = e.target.result;
+            if (current && (current.revision !== base.revision || current.writer !== base.writer)) {
+                const replayed = replayChange(base.raw, record.raw, current.raw);
+                if (!replayed) {
+                    written = current;
+                    outcome = 'discarded';
+                    return;
+                }
+                written = { raw: replayed.raw, revision: Math.max(current.revision, record.revision) + 1, writer: TAB_ID };
+                outcome = replayed.conflicts > 0 ? 'overlapped' : 'merged';
+            }
+            store.put(written, STORAGE_KEY);
+        };
+        tx.oncomplete = () => {
+            if (outcome !== 'discarded') syncChannel?.postMessage(written);
+            if (outcome === 'saved') return;
+
+            // A later change from this tab is already on its way and will be merged the same way
+            if (storedRecord === record || isNewerRecord(written, storedRecord)) {
+                storedRecord = written;
+                refreshFromOtherTab();
+            }
+            if (outcome === 'overlapped') {
+                showToast('Another tab changed some of the same things at the same time. Your changes were kept for those.');
+            } else if (outcome === 'discarded') {
+                // Its undo entry would put back the data from before the other tab's save
+                const history = loadHistory();
+                if (history.undo.length > 0 && history.undo[history.undo.length - 1].snapshot === base.raw) {
+                    history.undo.pop();
+                    saveHistory(history);
+                }
+                showToast('Another tab saved first and your last change could not be combined with it, so it was not saved. Please make it again.');
+            }
+        };
+        tx.onerror = tx.onabort = () => {
+            console.error('Saving tracker data failed.', tx.error);
+            showToast('Your last change could not be saved. Free up some browser storage and try again.');
+        };
+    }
+
+    // This tab's change from baseRaw to localRaw, applied to the data another tab saved first.
+    // Returns { raw, conflicts } (where both changed the same thing this tab's value is kept),
+    // or null when the change can't be combined, e.g. because one side cleared the data.
+    function replayChange(baseRaw, localRaw, otherRaw) {
+        if (localRaw === null || otherRaw === null) return null;
+        try {
+            const base = baseRaw === null ? null : parseSyncedData(baseRaw, 'earlier');
+            const { data, conflicts } = mergeTrackerData(base, parseSyncedData(localRaw, 'local'), parseSyncedData(otherRaw, "other tab's"));
+            // The merge leaves an item deleted on one side and edited on the other in place, so
+            // settle every conflict explicitly: a delete made in this tab sticks
+            conflicts.forEach(conflict => conflict.resolve(false));
+            return { raw: JSON.stringify(data), conflicts: conflicts.length };
+        } catch (e) {
+            console.warn('Could not combine this change with the one saved by another tab.', e);
+            return null;
+        }
+    }
+
+    // Takes over a record saved by another tab if it's newer than what this tab has
+    function adoptRecord(record) {
+        if (!record || !isNewerRecord(record, storedRecord)) return;
+        storedRecord = record;
+        cachedData = null;
+        refreshFromOtherTab();
+    }
+
+    function refreshFromOtherTab() {
+        cachedData = null;
+        loadProfiles();
+        filterAssessments();
+        renderCalendar();
+    }
+
+    // =================================================================
+    // UNDO / REDO HISTORY
+    // =================================================================
+
+    // Each entry holds a label and the raw stored blob from *before* the change. The stacks
+    // live in undoHistory and are persisted next to the data, so a mistaken delete can still be
+    // undone after a reload. Another tab's history is picked up when this one comes back into view.
+    function parseHistory(json) {
+        try {
+            const history = typeof json === 'string' ? JSON.parse(json) : json;
+            if (history && Array.isArray(history.undo) && Array.isArray(history.redo)) return history;
+            if (history) console.warn('Undo history was unreadable and has been reset.');
+        } catch (e) {
+            console.warn('Undo history was unreadable and has been reset.', e);
+        }
+        return { undo: [], redo: [] };
+    }
+
+    // History saved before the move to IndexedDB is picked up from localStorage once
+    async function readStoredHistory() {
+        const legacy = localStorage.getItem(HISTORY_KEY);
+        if (!trackerDb) return parseHistory(legacy);
+        const store = trackerDb.transaction(TRACKER_DB_STORE).objectStore(TRACKER_DB_STORE);
+        const stored = await requestToPromise(store.get(HISTORY_KEY)).catch(() => undefined);
+        if (stored !== undefined || legacy === null) return parseHistory(stored);
+
+        const history = parseHistory(legacy);
+        persistHistory(history);
+        localStorage.removeItem(HISTORY_KEY);
+        return history;
+    }
+
+    function loadHistory() {
+        return undoHistory;
+    }
+
+    function saveHistory(history) {
+        undoHistory = history;
+        persistHistory(history);
+    }
+
+    // Undo keeps working from memory if the history can't be stored; it just won't survive a reload
+    function persistHistory(history) {
+        if (trackerDb) {
+            const store = trackerDb.transaction(TRACKER_DB_STORE, 'readwrite').objectStore(TRACKER_DB_STORE);
+            requestToPromise(store.put(history, HISTORY_KEY))
+                .catch(error => console.warn('Undo history could not be stored; it will be lost on reload.', error));
+            return;
+        }
+        // Snapshots can be large: store as many of the newest entries as localStorage has room for
+        const stored = { undo: [...history.undo], redo: [...history.redo] };
+        while (true) {
+            try {
+                localStorage.setItem(HISTORY_KEY, JSON.stringify(stored));
+                return;
+            } catch (e) {
+                if (stored.undo.length > 0) stored.undo.shift();
+                else if (stored.redo.length > 0) stored.redo.shift();
+                else return;
+            }
+        }
+    }
+
+    // Snapshots the current data before a change. Calls made while handling the same user
+    // action (same tick) are merged into the first one, so e.g. adding a task with a new
+    // subject colour is a single undo step.
+    function recordHistory(label) {
+        if (historyRecordedThisTick) return;
+        historyRecordedThisTick = true;
+        queueMicrotask(() => { historyRecordedThisTick = false; });
+
+        const history = loadHistory();
+        history.undo.push({ label, snapshot: storedRecord.raw });
+        if (history.undo.length > HISTORY_LIMIT) history.undo.splice(0, history.undo.length - HISTORY_LIMIT);
+        history.redo = []; // A new change invalidates anything that was undone
+        saveHistory(history);
+    }
+
+    // Switching profiles isn't an undo step, so undo stays on the open profile instead of going
+    // back to the one the snapshot was taken in (unless the change being undone created it)
+    function restoreSnapshot(snapshot) {
+        let raw = snapshot;
+        try {
+            const data = JSON.parse(snapshot);
+            const activeProfile = readTrackerData().activeProfile;
+            if (data?.profiles && data.profiles.hasOwnProperty(activeProfile)) {
+                raw = JSON.stringify({ ...data, activeProfile });
+            }
+        } catch (e) {
+            // Not parseable here: restore it as it was and let loading deal with it
+        }
+        writeStoredRaw(raw);
+    }
+
+    // Moves one entry from `fromStack` to `toStack`, swapping the stored data with its snapshot
+    function stepHistory(fromStack, toStack) {
+        if (storageReadOnly) return null;
+        const history = loadHistory();
+        const entry = history[fromStack].pop();
+        if (!entry) return null;
+
+        history[toStack].push({ label: entry.label, snapshot: storedRecord.raw });
+        restoreSnapshot(entry.snapshot);
+        saveHistory(history);
+
+        loadProfiles();
+        filterAssessments();
+        renderCalendar();
+        return entry;
+    }
+
+    function undo() {
+        const entry = stepHistory('undo', 'redo');
+        if (entry) showToast(`Undone: ${entry.label}`, 'Redo', redo);
+        else showToast('Nothing to undo.');
+    }
+
+    function redo() {
+        const entry = stepHistory('redo', 'undo');
+        if (entry) showToast(`Redone: ${entry.label}`, 'Undo', undo);
+        else showToast('Nothing to redo.');
+    }
+
+    function showToast(message, actionLabel, action) {
+        if (!toast) return;
+        toastMessage.textContent = message;
+        toastActionBtn.classList.toggle('hidden', !actionLabel);
+        toastActionBtn.textContent = actionLabel || '';
+        toastActionBtn.onclick = () => {
+            toast.classList.add('hidden');
+            action();
+        };
+        toast.classList.remove('hidden');
+
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => toast.classList.add('hidden'), 6000);
+    }
+
+    function showUndoToast(message) {
+        showToast(message, 'Undo', undo);
+    }
+
+    // =================================================================
+    // DATE HELPERS
+    // =================================================================
+
+    // Formats a Date as the local YYYY-MM-DD string used by <input type="date"> and task.deadline
+    function formatDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Formats a Date's local time as 'HH:MM' (task.dueTime, <input type="time">)
+    function formatTimeKey(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    // Parses a YYYY-MM-DD string as local midnight (new Date('YYYY-MM-DD') would be UTC midnight)
+    function parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    function getTodayKey() {
+        return formatDateKey(new Date());
+    }
+
+    // Deadlines are a local calendar date plus an optional local 'HH:MM'. Without a time the
+    // task is due at the end of that day, so it isn't overdue until the day is over.
+    function getDeadlineDate(task) {
+        const date = parseDateKey(task.deadline);
+        if (task.dueTime) {
+            const [hours, minutes] = task.dueTime.split(':').map(Number);
+            date.setHours(hours, minutes, 0, 0);
+        } else {
+            date.setHours(23, 59, 59, 999);
         }
+        return date;
+    }
+
+    // Whole calendar days from today to the deadline in the user's zone (0 = due today)
+    function getDaysUntil(task) {
+        return daysBetweenDateKeys(getTodayKey(), task.deadline);
+    }
+
+    function isOverdue(task) {
+        return !task.completed && getDeadlineDate(task) < new Date();
+    }
+
+    function formatDeadline(task) {
+        return task.dueTime ? `${task.deadline} ${task.dueTime}` : task.deadline;
+    }
+
+    function addDaysToDateKey(dateKey, days) {
+        const date = parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return formatDateKey(date);
+    }
+
+    function daysBetweenDateKeys(fromKey, toKey) {
+        return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / (1000 * 60 * 60 * 24));
+    }
+
+    // Same day and month `years` later (29 February rolls over to 1 March)
+    function addYearsToDateKey(dateKey, years) {
+        const date = parseDateKey(dateKey);
+        date.setFullYear(date.getFullYear() + years);
+        return formatDateKey(date);
     }
 
     // =================================================================
     // CORE ASSESSMENT MANIPULATION FUNCTIONS
     // =================================================================
+
+    // Task ids are timestamps; bump past the last one issued so tasks created
+    // in the same millisecond (bulk imports) never share an id.
+    function generateTaskId() {
+        lastTaskId = Math.max(Date.now(), lastTaskId + 1);
+        return lastTaskId;
+    }
+
+    // First palette colour not already taken by another subject (cycles once all are used)
+    function pickSubjectColor(subjectColors) {
+        const used = Object.values(subjectColors);
+        return COLORS.find(color => !used.includes(color)) || COLORS[Object.keys(subjectColors).length % COLORS.length];
+    }
     
     function updateAssessment(updatedTask) {
-        let tasks = getAssessments();
+        let tasks = getEditableAssessments();
         const taskIndex = tasks.findIndex(task => task.id === updatedTask.id);
         if (taskIndex > -1) {
             tasks[taskIndex] = { ...tasks[taskIndex], ...updatedTask };
-            updateCurrentProfileAssessments(tasks);
+            updateCurrentProfileAssessments(tasks, `Edit "${tasks[taskIndex].assessment}"`);
         }
         filterAssessments();
         renderCalendar();
@@ -177,595 +972,5197 @@ document.addEventListener('DOMContentLoaded', () => {
     function deleteAssessment(id) {
         if (confirm('Are you sure you want to delete this assessment?')) {
             let tasks = getAssessments();
+            const deletedTask = tasks.find(task => task.id === id);
             tasks = tasks.filter(task => task.id !== id);
-            updateCurrentProfileAssessments(tasks);
+            updateCurrentProfileAssessments(tasks, `Delete "${deletedTask?.assessment}"`);
             filterAssessments();
             renderCalendar();
+            showUndoToast(`Deleted "${deletedTask?.assessment}".`);
         }
     }
 
 
     // =================================================================
-    // EXPORT / IMPORT FUNCTIONS
+    // SCORES & WEIGHTED GRADES
     // =================================================================
-    
-    function exportData() {
-        const data = getTrackerData();
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `academic_tracker_backup_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        alert('Data exported successfully!');
+
+    // Returns the task's mark as a percentage, or null if it hasn't been graded.
+    // Marks are stored either "out of N" (scoreOutOf set) or directly as a percentage.
+    function getScorePercent(task) {
+        if (task.score === null || task.score === undefined || task.score === '') return null;
+        return task.scoreOutOf ? (task.score / task.scoreOutOf) * 100 : Number(task.score);
     }
 
-    function importData(file) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const importedData = JSON.parse(event.target.result);
-                
-                if (!importedData.profiles || typeof importedData.profiles !== 'object') {
-                    throw new Error("Invalid tracker data structure.");
-                }
+    function formatPercent(value) {
+        return `${Math.round(value * 10) / 10}%`;
+    }
 
-                const currentData = getTrackerData();
-                
-                // Merge profiles, prioritizing imported data if a profile name conflicts
-                const mergedProfiles = { ...currentData.profiles, ...importedData.profiles };
-                
-                currentData.profiles = mergedProfiles;
-                
-                // Set the active profile to the imported active profile if it exists, otherwise keep current
-                if (importedData.activeProfile && mergedProfiles.hasOwnProperty(importedData.activeProfile)) {
-                    currentData.activeProfile = importedData.activeProfile;
-                } else if (Object.keys(mergedProfiles).length === 0) {
-                     // If everything was wiped somehow, revert to default
-                     currentData.activeProfile = DEFAULT_PROFILE;
-                     currentData.profiles = { [DEFAULT_PROFILE]: { tasks: [], subjectColors: {} } };
-                }
+    function formatScore(task) {
+        const percent = getScorePercent(task);
+        if (percent === null) return '-';
+        return task.scoreOutOf
+            ? `${task.score}/${task.scoreOutOf} (${formatPercent(percent)})`
+            : formatPercent(percent);
+    }
 
-                setTrackerData(currentData);
-                loadProfiles(); 
-                filterAssessments();
-                renderCalendar();
-                alert('Data imported and merged successfully!');
+    // Weighted grade figures for one subject. Everything is expressed on the course's
+    // 100-point scale using the raw weightings, so a subject whose weightings don't
+    // add up to 100% is reported as-is rather than normalised.
+    function computeSubjectGrade(tasks) {
+        let totalWeight = 0;
+        let gradedWeight = 0;
+        let earned = 0; // Course points earned so far (weight x mark)
 
-            } catch (error) {
-                console.error("Import failed:", error);
-                alert(`Error importing data: ${error.message}`);
+        tasks.forEach(task => {
+            const weight = Number(task.weighting) || 0;
+            if (!weight) return;
+            totalWeight += weight;
+
+            const percent = getScorePercent(task);
+            if (percent !== null) {
+                gradedWeight += weight;
+                earned += weight * percent / 100;
             }
+        });
+
+        const remainingWeight = totalWeight - gradedWeight;
+        return {
+            totalWeight,
+            gradedWeight,
+            remainingWeight,
+            earned,
+            currentGrade: gradedWeight > 0 ? (earned / gradedWeight) * 100 : null,
+            minFinal: earned, // Every remaining assessment scores 0
+            maxFinal: earned + remainingWeight // Every remaining assessment scores 100
         };
-        reader.readAsText(file);
     }
-    
-    // =================================================================
-    // NOTIFICATION & REMINDER SYSTEM
-    // =================================================================
-    
+
+    function renderGradeSummary() {
+        if (!gradeSummary) return;
+        gradeSummary.innerHTML = '';
+
+        // Stats cover the selected term, or everything (archived terms included) for "All terms"
+        const terms = getTerms();
+        const selectedTermId = getSelectedTermId();
+        const tasks = getAssessments().filter(task => isTaskInTerm(task, terms, selectedTermId));
+        const subjectColorMap = getSubjectColorMap();
+        const subjects = [...new Set(tasks.map(task => task.subject))].sort();
+
+        subjects.forEach(subject => {
+            const subjectTasks = tasks.filter(task => task.subject === subject);
+            const grade = computeSubjectGrade(subjectTasks);
+            const timeSpent = subjectTasks.reduce((sum, task) => sum + getTrackedTime(task), 0);
+            if (grade.totalWeight === 0 && timeSpent === 0) return; // Nothing to summarise
+
+            const card = document.createElement('div');
+            card.className = 'grade-card';
+            card.style.borderTopColor = subjectColorMap[subject] || '#007bff';
+
+            const title = document.createElement('h3');
+            const subjectIcon = createSubjectIcon(subject);
+            if (subjectIcon) title.appendChild(subjectIcon);
+            title.appendChild(document.createTextNode(subject));
+            card.appendChild(title);
+
+            const lines = grade.totalWeight === 0 ? [] : [
+                ['Grade so far', grade.currentGrade === null ? 'No marks yet' : formatPercent(grade.currentGrade)],
+                ['Assessed', `${formatPercent(grade.gradedWeight)} of course weight`],
+                ['Final range', `${formatPercent(grade.minFinal)} – ${formatPercent(grade.maxFinal)}`]
+            ];
+            if (timeSpent > 0) lines.push(['Time spent', formatDuration(timeSpent)]);
+            lines.forEach(([label, value]) => {
+                const line = document.createElement('p');
+                const strong = document.createElement('strong');
+                strong.textContent = `${label}: `;
+                line.appendChild(strong);
+                line.appendChild(document.createTextNode(value));
+                card.appendChild(line);
+            });
+
+            if (grade.totalWeight > 0 && grade.totalWeight !== 100) {
+                const warning = document.createElement('p');
+                warning.className = 'grade-warning';
+                warning.textContent = `Weightings add up to ${formatPercent(grade.totalWeight)}, not 100%.`;
+                card.appendChild(warning);
+            }
+
+            gradeSummary.appendChild(card);
+        });
+    }
+
+    // =================================================================
+    // TARGET GRADE CALCULATOR ("What do I need?")
+    // =================================================================
+
+    // Works out the average needed on the remaining (ungraded) weight to finish on `target`.
+    function calculateRequiredAverage(grade, target) {
+        if (grade.remainingWeight === 0) {
+            return { status: grade.earned >= target ? 'guaranteed' : 'impossible', required: null };
+        }
+
+        const required = ((target - grade.earned) / grade.remainingWeight) * 100;
+        if (required <= 0) return { status: 'guaranteed', required };
+        if (required > 100) return { status: 'impossible', required };
+        return { status: 'needed', required };
+    }
+
+    function openGradeCalculator(subject) {
+        const tasks = getAssessments().filter(task => task.subject === subject);
+        const grade = computeSubjectGrade(tasks);
+        const pendingCount = tasks.filter(task => Number(task.weighting) && getScorePercent(task) === null).length;
+
+        const body = openModal(`What do I need? — ${subject}`);
+
+        if (grade.totalWeight === 0) {
+            body.textContent = `None of the assessments in "${subject}" have a weighting yet, so there is nothing to calculate.`;
+            return;
+        }
+
+        // Never silently normalise: tell the user when the weightings don't describe a whole course
+        if (grade.totalWeight !== 100) {
+            const warning = document.createElement('p');
+            warning.className = 'grade-warning';
+            warning.textContent = grade.totalWeight < 100
+                ? `Weightings for "${subject}" add up to ${formatPercent(grade.totalWeight)}, not 100%. The missing ${formatPercent(100 - grade.totalWeight)} isn't in the tracker, so the figures below only count the weight that is and are not rescaled.`
+                : `Weightings for "${subject}" add up to ${formatPercent(grade.totalWeight)}, more than 100%. Check the weightings; the figures below use them exactly as entered.`;
+            body.appendChild(warning);
+        }
+
+        const summary = document.createElement('p');
+        summary.textContent = `Earned so far: ${formatPercent(grade.earned)} of the course from ${formatPercent(grade.gradedWeight)} assessed. ` +
+            `Remaining: ${formatPercent(grade.remainingWeight)} across ${pendingCount} ungraded assessment(s).`;
+        body.appendChild(summary);
+
+        const label = document.createElement('label');
+        label.className = 'modal-field';
+        label.textContent = 'Target final grade (%) ';
+        const targetInput = document.createElement('input');
+        targetInput.type = 'number';
+        targetInput.min = '0';
+        targetInput.max = '100';
+        targetInput.step = 'any';
+        targetInput.value = '80';
+        label.appendChild(targetInput);
+        body.appendChild(label);
+
+        const result = document.createElement('p');
+        result.className = 'calculator-result';
+        body.appendChild(result);
+
+        const update = () => {
+            const target = parseFloat(targetInput.value);
+            result.classList.remove('impossible', 'guaranteed');
+            if (isNaN(target) || target < 0) {
+                result.textContent = 'Enter a target grade.';
+                return;
+            }
+
+            const { status, required } = calculateRequiredAverage(grade, target);
+            if (status === 'guaranteed') {
+                result.classList.add('guaranteed');
+                result.textContent = grade.remainingWeight === 0
+                    ? `All weighted assessments are graded. You finished on ${formatPercent(grade.earned)}, so ${formatPercent(target)} is already secured.`
+                    : `${formatPercent(target)} is already guaranteed — you'd reach it even scoring 0 on everything left.`;
+            } else if (status === 'impossible') {
+                result.classList.add('impossible');
+                result.textContent = grade.remainingWeight === 0
+                    ? `All weighted assessments are graded. You finished on ${formatPercent(grade.earned)}, so ${formatPercent(target)} is out of reach.`
+                    : `${formatPercent(target)} is no longer possible — it would need ${formatPercent(required)} on the remaining weight. The best you can finish on is ${formatPercent(grade.maxFinal)}.`;
+            } else {
+                result.textContent = `You need an average of ${formatPercent(required)} on the remaining ${formatPercent(grade.remainingWeight)} to finish on ${formatPercent(target)}.`;
+            }
+        };
+
+        targetInput.addEventListener('input', update);
+        update();
+        targetInput.focus();
+    }
+
+    // =================================================================
+    // EXPORT / IMPORT FUNCTIONS
+    // =================================================================
+    
+    function downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    function exportData() {
+        const data = getTrackerData();
+        const json = JSON.stringify(data, null, 2);
+        downloadFile(json, `academic_tracker_backup_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        alert('Data exported successfully!');
+    }
+
+    function importData(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let importedData;
+            try {
+                // Backups go through the same migration and validation as stored data
+                importedData = migrateTrackerData(JSON.parse(event.target.result));
+                validateTrackerData(importedData);
+            } catch (error) {
+                console.error("Import failed:", error);
+                alert(`Error importing data: ${error.message}`);
+                return;
+            }
+            showImportDialog(importedData);
+        };
+        reader.readAsText(file);
+    }
+
+    // Returns a profile name based on `baseName` that isn't taken in `profiles`
+    function getUniqueProfileName(baseName, profiles) {
+        if (!profiles.hasOwnProperty(baseName)) return baseName;
+        let counter = 2;
+        while (profiles.hasOwnProperty(`${baseName} (${counter})`)) counter++;
+        return `${baseName} (${counter})`;
+    }
+
+    // JSON with object keys sorted, so equal content gives equal text whatever the key order
+    // (merged records are rebuilt key by key). undefined counts as null.
+    function stableStringify(value) {
+        if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value) ?? 'null';
+    }
+
+    // Compares by content, ignoring key order
+    function isSameValue(a, b) {
+        return stableStringify(a) === stableStringify(b);
+    }
+
+    function formatFieldValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    // Step 1: choose what to do with each profile in the backup
+    function showImportDialog(importedData) {
+        const currentProfiles = getTrackerData().profiles;
+        const body = openModal('Import Backup');
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Choose how each profile in the backup should be imported.';
+        body.appendChild(intro);
+
+        const table = document.createElement('table');
+        table.className = 'preview-table';
+        table.innerHTML = '<thead><tr><th>Profile in backup</th><th>Tasks</th><th>Import as</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+
+        const plans = Object.keys(importedData.profiles).map(profileName => {
+            const exists = currentProfiles.hasOwnProperty(profileName);
+            const tr = tbody.insertRow();
+            tr.insertCell().textContent = profileName;
+            tr.insertCell().textContent = importedData.profiles[profileName].tasks.length;
+
+            const modeCell = tr.insertCell();
+            const modeSelect = document.createElement('select');
+            const modes = exists
+                ? [['merge', 'Merge into existing (by task)'], ['replace', 'Replace existing profile'], ['new', 'New profile named…'], ['skip', "Don't import"]]
+                : [['new', 'New profile named…'], ['skip', "Don't import"]];
+            modes.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                modeSelect.appendChild(option);
+            });
+            modeCell.appendChild(modeSelect);
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'import-profile-name';
+            nameInput.value = getUniqueProfileName(exists ? `${profileName} (imported)` : profileName, currentProfiles);
+            modeCell.appendChild(nameInput);
+
+            const syncNameVisibility = () => nameInput.classList.toggle('hidden', modeSelect.value !== 'new');
+            modeSelect.addEventListener('change', syncNameVisibility);
+            syncNameVisibility();
+
+            return { profileName, modeSelect, nameInput };
+        });
+
+        table.appendChild(tbody);
+        body.appendChild(table);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const continueBtn = document.createElement('button');
+        continueBtn.textContent = 'Continue';
+        continueBtn.addEventListener('click', () => {
+            const chosenNames = new Set();
+            const choices = [];
+
+            for (const plan of plans) {
+                const mode = plan.modeSelect.value;
+                const targetName = mode === 'new' ? plan.nameInput.value.trim() : plan.profileName;
+                if (mode === 'skip') continue;
+
+                if (mode === 'new') {
+                    if (!targetName) {
+                        alert(`Enter a name for the new profile imported from "${plan.profileName}".`);
+                        return;
+                    }
+                    if (currentProfiles.hasOwnProperty(targetName) || chosenNames.has(targetName)) {
+                        alert(`A profile named "${targetName}" already exists.`);
+                        return;
+                    }
+                }
+                chosenNames.add(targetName);
+                choices.push({ mode, sourceName: plan.profileName, targetName });
+            }
+
+            if (choices.length === 0) {
+                closeModal();
+                return;
+            }
+            showImportConflicts(importedData, choices);
+        });
+        actions.appendChild(continueBtn);
+        body.appendChild(actions);
+    }
+
+    // Step 2: for merged profiles, let the user pick local or imported values for every conflicting field
+    function showImportConflicts(importedData, choices) {
+        const currentProfiles = getTrackerData().profiles;
+        const conflicts = [];
+
+        choices.filter(choice => choice.mode === 'merge').forEach(choice => {
+            const localTasks = currentProfiles[choice.targetName].tasks;
+            importedData.profiles[choice.sourceName].tasks.forEach(importedTask => {
+                const localTask = localTasks.find(task => task.id === importedTask.id);
+                if (!localTask) return;
+
+                const fields = [...new Set([...Object.keys(localTask), ...Object.keys(importedTask)])]
+                    .filter(field => field !== 'id' && !isSameValue(localTask[field], importedTask[field]));
+                if (fields.length > 0) {
+                    conflicts.push({ profileName: choice.targetName, localTask, importedTask, fields, picks: {} });
+                }
+            });
+        });
+
+        if (conflicts.length === 0) {
+            applyImport(importedData, choices, []);
+            return;
+        }
+
+        const body = openModal('Resolve Conflicts');
+        const intro = document.createElement('p');
+        intro.textContent = `${conflicts.length} task(s) were changed both here and in the backup. Pick which value to keep for each field.`;
+        body.appendChild(intro);
+
+        const bulkActions = document.createElement('div');
+        bulkActions.className = 'conflict-bulk-actions';
+        const keepAllLocal = document.createElement('button');
+        keepAllLocal.textContent = 'Keep All Local';
+        const useAllImported = document.createElement('button');
+        useAllImported.textContent = 'Use All Imported';
+        bulkActions.append(keepAllLocal, useAllImported);
+        body.appendChild(bulkActions);
+
+        const radios = [];
+        conflicts.forEach((conflict, conflictIndex) => {
+            const heading = document.createElement('h3');
+            heading.className = 'conflict-heading';
+            heading.textContent = `${conflict.profileName}: ${conflict.localTask.subject} – ${conflict.localTask.assessment}`;
+            body.appendChild(heading);
+
+            const table = document.createElement('table');
+            table.className = 'preview-table conflict-table';
+            table.innerHTML = '<thead><tr><th>Field</th><th>Local</th><th>Imported</th></tr></thead>';
+            const tbody = document.createElement('tbody');
+
+            conflict.fields.forEach(field => {
+                const tr = tbody.insertRow();
+                tr.insertCell().textContent = field;
+                ['local', 'imported'].forEach(side => {
+                    const cell = tr.insertCell();
+                    const label = document.createElement('label');
+                    const radio = document.createElement('input');
+                    radio.type = 'radio';
+                    radio.name = `conflict-${conflictIndex}-${field}`;
+                    radio.value = side;
+                    radio.checked = side === 'local';
+                    radio.dataset.conflict = conflictIndex;
+                    radio.dataset.field = field;
+                    radios.push(radio);
+                    label.appendChild(radio);
+                    const value = side === 'local' ? conflict.localTask[field] : conflict.importedTask[field];
+                    label.appendChild(document.createTextNode(` ${formatFieldValue(value)}`));
+                    cell.appendChild(label);
+                });
+            });
+
+            table.appendChild(tbody);
+            body.appendChild(table);
+        });
+
+        keepAllLocal.addEventListener('click', () => radios.forEach(radio => { radio.checked = radio.value === 'local'; }));
+        useAllImported.addEventListener('click', () => radios.forEach(radio => { radio.checked = radio.value === 'imported'; }));
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const finishBtn = document.createElement('button');
+        finishBtn.textContent = 'Finish Import';
+        finishBtn.addEventListener('click', () => {
+            radios.filter(radio => radio.checked).forEach(radio => {
+                conflicts[radio.dataset.conflict].picks[radio.dataset.field] = radio.value;
+            });
+            applyImport(importedData, choices, conflicts);
+        });
+        actions.appendChild(finishBtn);
+        body.appendChild(actions);
+    }
+
+    // Step 3: write the result and report what happened
+    function applyImport(importedData, choices, conflicts) {
+        const data = getTrackerData();
+        const report = [];
+
+        choices.forEach(({ mode, sourceName, targetName }) => {
+            const importedProfile = JSON.parse(JSON.stringify(importedData.profiles[sourceName]));
+
+            if (mode === 'replace' || mode === 'new') {
+                data.profiles[targetName] = importedProfile;
+                report.push({
+                    profileName: targetName,
+                    lines: [mode === 'replace'
+                        ? `Replaced with ${importedProfile.tasks.length} task(s) from the backup.`
+                        : `Created with ${importedProfile.tasks.length} task(s).`]
+                });
+                return;
+            }
+
+            // Merge by task id
+            const profile = data.profiles[targetName];
+            let added = 0;
+            let updated = 0;
+            let skipped = 0;
+
+            importedProfile.tasks.forEach(importedTask => {
+                const localTask = profile.tasks.find(task => task.id === importedTask.id);
+                if (!localTask) {
+                    profile.tasks.push(importedTask);
+                    added++;
+                    return;
+                }
+
+                const conflict = conflicts.find(c => c.profileName === targetName && c.localTask.id === importedTask.id);
+                const fieldsToTake = conflict ? conflict.fields.filter(field => conflict.picks[field] === 'imported') : [];
+                if (fieldsToTake.length === 0) {
+                    skipped++; // Identical, or the user kept every local value
+                    return;
+                }
+                fieldsToTake.forEach(field => {
+                    if (importedTask.hasOwnProperty(field)) localTask[field] = importedTask[field];
+                    else delete localTask[field];
+                });
+                updated++;
+            });
+
+            // Recurrence rules travel with their tasks; local subject icons win
+            profile.series = { ...importedProfile.series, ...profile.series };
+            profile.subjectIcons = { ...importedProfile.subjectIcons, ...profile.subjectIcons };
+
+            // Subject colours: keep local choices, add colours for subjects only the backup knows
+            let coloursAdded = 0;
+            Object.entries(importedProfile.subjectColors).forEach(([subject, color]) => {
+                if (!profile.subjectColors.hasOwnProperty(subject)) {
+                    profile.subjectColors[subject] = color;
+                    coloursAdded++;
+                }
+            });
+            profile.tasks.forEach(task => {
+                if (!profile.subjectColors.hasOwnProperty(task.subject)) {
+                    profile.subjectColors[task.subject] = pickSubjectColor(profile.subjectColors);
+                    coloursAdded++;
+                }
+            });
+
+            report.push({
+                profileName: targetName,
+                lines: [
+                    `${added} task(s) added`,
+                    `${updated} task(s) updated`,
+                    `${skipped} task(s) skipped (unchanged or kept local)`,
+                    `${coloursAdded} subject colour(s) added`
+                ]
+            });
+        });
+
+        setTrackerData(data, 'Import backup');
+        loadProfiles();
+        filterAssessments();
+        renderCalendar();
+
+        const body = openModal('Import Complete');
+        report.forEach(({ profileName, lines }) => {
+            const heading = document.createElement('h3');
+            heading.textContent = profileName;
+            body.appendChild(heading);
+            const list = document.createElement('ul');
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
+            });
+            body.appendChild(list);
+        });
+    }
+
+    // =================================================================
+    // ICALENDAR (.ics) IMPORT
+    // =================================================================
+
+    // Reverses escapeIcalText
+    function unescapeIcalText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+
+    // Splits a multi-value property such as CATEGORIES on its unescaped commas: "A\, B,C" -> ['A, B', 'C']
+    function splitIcalList(value) {
+        return (value.match(/(?:[^\\,]|\\.)+/g) || []).map(part => unescapeIcalText(part).trim()).filter(Boolean);
+    }
+
+    // Splits one unfolded content line into { name, params, value }.
+    // Parameter values may be quoted and contain ':' or ';', so this can't be a plain split.
+    function parseIcalLine(line) {
+        let i = 0;
+        let inQuotes = false;
+        while (i < line.length) {
+            const char = line[i];
+            if (char === '"') inQuotes = !inQuotes;
+            else if (char === ':' && !inQuotes) break;
+            i++;
+        }
+        if (i >= line.length) return null;
+
+        const [name, ...rawParams] = line.slice(0, i).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+        const params = {};
+        rawParams.forEach(param => {
+            const eq = param.indexOf('=');
+            if (eq > -1) {
+                params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+            }
+        });
+        return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+    }
+
+    // Returns every VEVENT/VTODO as { type, props }, where props maps a property name to
+    // its first { params, value }. Properties of nested components (VALARM) are ignored.
+    function parseIcalendar(text) {
+        // RFC 5545 §3.1: a CRLF followed by a space or tab is a fold and is removed
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const components = [];
+        const stack = [];
+
+        lines.forEach(rawLine => {
+            const line = parseIcalLine(rawLine);
+            if (!line) return;
+
+            if (line.name === 'BEGIN') {
+                const component = { type: line.value.trim().toUpperCase(), props: {} };
+                stack.push(component);
+                if (component.type === 'VEVENT' || component.type === 'VTODO') {
+                    components.push(component);
+                }
+            } else if (line.name === 'END') {
+                stack.pop();
+            } else if (stack.length > 0) {
+                const current = stack[stack.length - 1];
+                if (!current.props[line.name]) {
+                    current.props[line.name] = { params: line.params, value: line.value };
+                }
+            }
+        });
+
+        return components;
+    }
+
+    // Offset (ms) between UTC and the wall-clock time in `timeZone` at the given instant
+    function getTimeZoneOffset(utcMillis, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(utcMillis));
+        const get = type => Number(parts.find(part => part.type === type).value);
+        const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+        return asUtc - utcMillis;
+    }
+
+    // Converts a DATE / DATE-TIME value into the user's local { date: 'YYYY-MM-DD', time: 'HH:MM' | null }.
+    // Handles all-day values, UTC ('Z') times, TZID'd times and floating (zone-less) times.
+    function parseIcalDateTime(prop) {
+        if (!prop) return null;
+        const value = prop.value.trim();
+
+        // All-day value: no time and no zone, so the date is taken as-is
+        if (prop.params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+            const [, year, month, day] = value.match(/^(\d{4})(\d{2})(\d{2})/) || [];
+            return year ? { date: `${year}-${month}-${day}`, time: null } : null;
+        }
+
+        const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+        if (!dateTime) return null;
+        const [year, month, day, hour, minute, second] = dateTime.slice(1, 7).map(Number);
+        const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+        let local;
+        if (dateTime[7] === 'Z') {
+            local = new Date(wallClockAsUtc);
+        } else if (prop.params.TZID) {
+            try {
+                // Guess the instant, then correct it with the zone's offset at that instant (twice for DST edges)
+                let instant = wallClockAsUtc - getTimeZoneOffset(wallClockAsUtc, prop.params.TZID);
+                instant = wallClockAsUtc - getTimeZoneOffset(instant, prop.params.TZID);
+                local = new Date(instant);
+            } catch (e) {
+                // Unknown zone name (e.g. Windows-style ids): fall back to treating it as local time
+                console.warn(`Unknown TZID "${prop.params.TZID}", treating time as local.`, e);
+                local = new Date(year, month - 1, day, hour, minute, second);
+            }
+        } else {
+            local = new Date(year, month - 1, day, hour, minute, second);
+        }
+
+        const time = `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`;
+        return { date: formatDateKey(local), time };
+    }
+
+    // Maps a parsed VEVENT/VTODO onto the tracker's task fields
+    function icalComponentToTask(component) {
+        const { props } = component;
+        const text = name => props[name] ? unescapeIcalText(props[name].value).trim() : '';
+
+        const due = parseIcalDateTime(component.type === 'VTODO' ? (props.DUE || props.DTSTART) : (props.DTSTART || props.DUE));
+        let assessment = text('SUMMARY');
+        let subject = props.CATEGORIES ? splitIcalList(props.CATEGORIES.value)[0] || '' : '';
+
+        if (!subject) {
+            // Canvas appends the course in brackets: "Essay 1 [HIST101]"
+            const bracketed = assessment.match(/^(.*?)\s*\[([^\]]+)\]$/);
+            if (bracketed) {
+                assessment = bracketed[1];
+                subject = bracketed[2];
+            }
+        } else if (assessment.startsWith(`${subject}: `)) {
+            // Our own export prefixes the summary with the subject
+            assessment = assessment.slice(subject.length + 2);
+        }
+
+        const notes = text('DESCRIPTION');
+        const weightMatch = notes.match(/^Weighting:\s*(\d+)%/m);
+        const status = text('STATUS').toUpperCase();
+
+        return {
+            uid: text('UID'),
+            subject: subject || 'Imported',
+            assessment: assessment || '(untitled)',
+            deadline: due ? due.date : null,
+            dueTime: due ? due.time : null,
+            weighting: weightMatch ? parseInt(weightMatch[1]) : null,
+            notes,
+            completed: status === 'COMPLETED' || !!props.COMPLETED
+        };
+    }
+
+    // Finds the task an entry was imported as before: by UID, or for entries without one
+    // (many exporters leave it out) by subject, assessment and deadline
+    function findImportedTask(tasks, entry) {
+        if (entry.uid) return tasks.find(task => task.icalUid === entry.uid || getTaskUid(task) === entry.uid) || null;
+        return tasks.find(task => task.subject === entry.subject && task.assessment === entry.assessment &&
+            task.deadline === entry.deadline) || null;
+    }
+
+    function importCalendarFile(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const components = parseIcalendar(event.target.result);
+            if (components.length === 0) {
+                alert('No events or to-dos were found in that calendar file.');
+                return;
+            }
+            showCalendarImportPreview(components.map(icalComponentToTask));
+        };
+        reader.readAsText(file);
+    }
+
+    function showCalendarImportPreview(entries) {
+        const existingTasks = getAssessments();
+        const body = openModal('Import from Calendar');
+
+        // Work out what each entry would do so re-importing the same file is a no-op
+        const rows = entries.map(entry => {
+            const match = findImportedTask(existingTasks, entry);
+            let status;
+            if (!entry.deadline) status = 'invalid';
+            else if (!match) status = 'new';
+            else if (match.subject === entry.subject && match.assessment === entry.assessment &&
+                match.deadline === entry.deadline && (match.dueTime || null) === entry.dueTime) status = 'unchanged';
+            else status = 'update';
+            return { entry, match, status };
+        });
+
+        const STATUS_LABELS = { new: 'New', update: 'Update', unchanged: 'Already imported', invalid: 'No date – skipped' };
+
+        const intro = document.createElement('p');
+        intro.textContent = `${entries.length} item(s) found. Untick any you don't want to import into "${getTrackerData().activeProfile}".`;
+        body.appendChild(intro);
+
+        const table = document.createElement('table');
+        table.className = 'preview-table';
+        table.innerHTML = '<thead><tr><th><input type="checkbox" class="select-all" checked></th><th>Status</th><th>Subject</th><th>Assessment</th><th>Deadline</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+
+        rows.forEach(row => {
+            const tr = tbody.insertRow();
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = row.status === 'new' || row.status === 'update';
+            checkbox.disabled = row.status === 'invalid';
+            row.checkbox = checkbox;
+            tr.insertCell().appendChild(checkbox);
+            tr.insertCell().textContent = STATUS_LABELS[row.status];
+            tr.insertCell().textContent = row.entry.subject;
+            tr.insertCell().textContent = row.entry.assessment;
+            tr.insertCell().textContent = row.entry.deadline ? formatDeadline(row.entry) : '-';
+            if (row.status === 'invalid' || row.status === 'unchanged') tr.classList.add('muted-row');
+        });
+        table.appendChild(tbody);
+        body.appendChild(table);
+
+        table.querySelector('.select-all').addEventListener('change', (e) => {
+            rows.forEach(row => {
+                if (!row.checkbox.disabled) row.checkbox.checked = e.target.checked;
+            });
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const importBtn = document.createElement('button');
+        importBtn.textContent = 'Import Selected';
+        importBtn.addEventListener('click', () => {
+            const selected = rows.filter(row => row.checkbox.checked);
+            applyCalendarImport(selected);
+            closeModal();
+        });
+        actions.appendChild(importBtn);
+        body.appendChild(actions);
+    }
+
+    function applyCalendarImport(rows) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        let added = 0;
+        let updated = 0;
+
+        rows.forEach(({ entry, match }) => {
+            const existing = match && profile.tasks.find(task => task.id === match.id);
+            if (existing) {
+                Object.assign(existing, {
+                    subject: entry.subject,
+                    assessment: entry.assessment,
+                    deadline: entry.deadline,
+                    dueTime: entry.dueTime,
+                    icalUid: entry.uid
+                });
+                updated++;
+            } else {
+                profile.tasks.push({
+                    subject: entry.subject,
+                    assessment: entry.assessment,
+                    deadline: entry.deadline,
+                    dueTime: entry.dueTime,
+                    weighting: entry.weighting,
+                    notes: entry.notes,
+                    id: generateTaskId(),
+                    completed: entry.completed,
+                    icalUid: entry.uid
+                });
+                added++;
+            }
+
+            if (!profile.subjectColors.hasOwnProperty(entry.subject)) {
+                profile.subjectColors[entry.subject] = pickSubjectColor(profile.subjectColors);
+            }
+        });
+
+        setTrackerData(data, 'Import from calendar');
+        filterAssessments();
+        renderCalendar();
+        alert(`Calendar import finished: ${added} added, ${updated} updated.`);
+    }
+
+    // =================================================================
+    // ICALENDAR (.ics) EXPORT
+    // =================================================================
+
+    const ICAL_PRODID = '-//Academic Tracker Pro//EN';
+    const ICAL_UID_DOMAIN = 'academic-tracker';
+
+    // UIDs are derived from the task id so re-exports update existing calendar entries
+    function getTaskUid(task) {
+        return `task-${task.id}@${ICAL_UID_DOMAIN}`;
+    }
+
+    // RFC 5545 §3.3.11: backslash, semicolon, comma and newlines must be escaped in TEXT values
+    function escapeIcalText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + a single space.
+    // Splits on character boundaries so multi-byte UTF-8 characters are never cut in half.
+    function foldIcalLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    function formatIcalDate(dateString) {
+        return dateString.replace(/-/g, '');
+    }
+
+    function formatIcalUtcTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function buildTaskDescription(task) {
+        const lines = [`Subject: ${task.subject}`];
+        if (task.weighting) lines.push(`Weighting: ${task.weighting}%`);
+        if (task.notes && task.notes.trim()) lines.push('', task.notes.trim());
+        return lines.join('\n');
+    }
+
+    // options: { componentType: 'VEVENT' | 'VTODO', includeCompleted: boolean, reminderDays: number | null }
+    function buildIcalendar(tasks, profileName, options) {
+        const stamp = formatIcalUtcTimestamp(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICAL_PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeIcalText(`Academic Tracker – ${profileName}`)}`
+        ];
+
+        tasks
+            .filter(task => task.deadline && (options.includeCompleted || !task.completed))
+            .forEach(task => {
+                const type = options.componentType;
+                lines.push(`BEGIN:${type}`);
+                lines.push(`UID:${getTaskUid(task)}`);
+                lines.push(`DTSTAMP:${stamp}`);
+                lines.push(`SUMMARY:${escapeIcalText(`${task.subject}: ${task.assessment}`)}`);
+                lines.push(`DESCRIPTION:${escapeIcalText(buildTaskDescription(task))}`);
+                lines.push(`CATEGORIES:${escapeIcalText(task.subject)}`);
+
+                // Timed deadlines are written in UTC so every calendar app places them at the same instant
+                const due = task.dueTime
+                    ? `:${formatIcalUtcTimestamp(getDeadlineDate(task))}`
+                    : `;VALUE=DATE:${formatIcalDate(task.deadline)}`;
+
+                if (type === 'VEVENT') {
+                    lines.push(`DTSTART${due}`);
+                    if (!task.dueTime) {
+                        // All-day event: DTEND is exclusive, so it's the day after the deadline.
+                        // (A timed event without DTEND is a point in time, which suits a deadline.)
+                        lines.push(`DTEND;VALUE=DATE:${formatIcalDate(addDaysToDateKey(task.deadline, 1))}`);
+                    }
+                    lines.push('TRANSP:TRANSPARENT');
+                } else {
+                    lines.push(`DUE${due}`);
+                    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+                }
+
+                // 0 is a valid choice: an alarm when the task falls due
+                if (Number.isInteger(options.reminderDays) && !task.completed) {
+                    const dueText = options.reminderDays === 0 ? 'is due today' : `is due in ${options.reminderDays} day(s)`;
+                    lines.push('BEGIN:VALARM');
+                    lines.push('ACTION:DISPLAY');
+                    lines.push(`DESCRIPTION:${escapeIcalText(`${task.assessment} ${dueText}`)}`);
+                    // VTODO alarms are relative to DUE (the "end"), VEVENT alarms to DTSTART
+                    lines.push(`TRIGGER${type === 'VTODO' ? ';RELATED=END' : ''}:-P${options.reminderDays}D`);
+                    lines.push('END:VALARM');
+                }
+
+                lines.push(`END:${type}`);
+            });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldIcalLine).join('\r\n') + '\r\n';
+    }
+
+    function openCalendarExportDialog() {
+        profileMenu?.classList.add('hidden');
+        const body = openModal('Export to Calendar (.ics)');
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Creates a calendar file for the active profile. Importing it again into Google Calendar, Thunderbird or Outlook updates the existing entries instead of duplicating them.';
+        body.appendChild(intro);
+
+        const typeLabel = document.createElement('label');
+        typeLabel.className = 'modal-field';
+        typeLabel.textContent = 'Export assessments as ';
+        const typeSelect = document.createElement('select');
+        typeSelect.innerHTML = '<option value="VEVENT">All-day events</option><option value="VTODO">To-dos (tasks)</option>';
+        typeLabel.appendChild(typeSelect);
+        body.appendChild(typeLabel);
+
+        const completedLabel = document.createElement('label');
+        completedLabel.className = 'modal-field';
+        const completedCheckbox = document.createElement('input');
+        completedCheckbox.type = 'checkbox';
+        completedLabel.appendChild(completedCheckbox);
+        completedLabel.appendChild(document.createTextNode(' Include completed assessments'));
+        body.appendChild(completedLabel);
+
+        const reminderLabel = document.createElement('label');
+        reminderLabel.className = 'modal-field';
+        reminderLabel.textContent = 'Reminder (days before deadline, blank for none) ';
+        const reminderInput = document.createElement('input');
+        reminderInput.type = 'number';
+        reminderInput.min = '0';
+        reminderInput.value = '3';
+        reminderLabel.appendChild(reminderInput);
+        body.appendChild(reminderLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const exportBtn = document.createElement('button');
+        exportBtn.textContent = 'Download .ics';
+        exportBtn.addEventListener('click', () => {
+            const reminderDays = reminderInput.value !== '' ? parseInt(reminderInput.value) : null;
+            if (reminderDays !== null && (isNaN(reminderDays) || reminderDays < 0)) {
+                alert('Reminder days must be 0 or more.');
+                return;
+            }
+
+            const data = getTrackerData();
+            const ics = buildIcalendar(getAssessments(), data.activeProfile, {
+                componentType: typeSelect.value,
+                includeCompleted: completedCheckbox.checked,
+                reminderDays
+            });
+            const safeName = data.activeProfile.replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+            downloadFile(ics, `academic_tracker_${safeName}.ics`, 'text/calendar');
+            closeModal();
+        });
+        actions.appendChild(exportBtn);
+        body.appendChild(actions);
+    }
+
+    // =================================================================
+    // CSV (SPREADSHEET) EXPORT / IMPORT
+    // =================================================================
+
+    const CSV_COLUMNS = ['subject', 'assessment', 'deadline', 'time', 'weighting', 'notes', 'completed'];
+    const CSV_REQUIRED_COLUMNS = ['subject', 'assessment', 'deadline'];
+    const CSV_DELIMITERS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+
+    // Header names (lower-cased, punctuation stripped) that are recognised for each field
+    const CSV_HEADER_ALIASES = {
+        subject: ['subject', 'course', 'unit', 'module', 'class'],
+        assessment: ['assessment', 'assignment', 'task', 'name', 'title'],
+        deadline: ['deadline', 'due', 'duedate', 'date'],
+        time: ['time', 'duetime', 'dueat'],
+        weighting: ['weighting', 'weight', 'worth', 'percent', 'percentage'],
+        notes: ['notes', 'note', 'description', 'details', 'comments'],
+        completed: ['completed', 'complete', 'done', 'status']
+    };
+
+    // RFC 4180: fields containing the delimiter, quotes or line breaks are quoted, quotes doubled
+    function escapeCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function exportCsv() {
+        profileMenu?.classList.add('hidden');
+        const data = getTrackerData();
+        const rows = [CSV_COLUMNS.join(',')];
+        getAssessments().forEach(task => {
+            rows.push([
+                task.subject,
+                task.assessment,
+                task.deadline,
+                task.dueTime || '',
+                task.weighting ?? '',
+                task.notes || '',
+                task.completed ? 'true' : 'false'
+            ].map(escapeCsvField).join(','));
+        });
+
+        const safeName = data.activeProfile.replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+        downloadFile(rows.join('\r\n') + '\r\n', `academic_tracker_${safeName}.csv`, 'text/csv');
+    }
+
+    // Picks the candidate delimiter that appears most often outside quotes on the first line
+    function detectCsvDelimiter(text) {
+        const counts = {};
+        let inQuotes = false;
+        for (const char of text) {
+            if (char === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && (char === '\n' || char === '\r')) break;
+            else if (!inQuotes && CSV_DELIMITERS.hasOwnProperty(char)) counts[char] = (counts[char] || 0) + 1;
+        }
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || ',';
+    }
+
+    // Character-by-character parser: handles quoted fields, doubled quotes and line breaks inside quotes
+    function parseCsv(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines (a single empty field)
+        return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+    }
+
+    // Parses yyyy-mm-dd, dd/mm/yyyy or mm/dd/yyyy ('/', '.' or '-' separated) into a YYYY-MM-DD string.
+    // `allowIso` also accepts yyyy-mm-dd when `format` is dmy/mdy, for columns whose format was detected.
+    function parseCsvDate(value, format, allowIso = false) {
+        const text = value.trim();
+        let year, month, day;
+
+        const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+        const local = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+        if (iso && (allowIso || format === 'auto' || format === 'ymd')) {
+            [year, month, day] = iso.slice(1).map(Number);
+        } else if (local && (format === 'dmy' || format === 'mdy')) {
+            const [first, second, rawYear] = local.slice(1).map(Number);
+            year = rawYear < 100 ? 2000 + rawYear : rawYear;
+            [day, month] = format === 'dmy' ? [first, second] : [second, first];
+        } else {
+            return null;
+        }
+
+        // Reject dates that roll over (31/02 etc.)
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        return formatDateKey(date);
+    }
+
+    // For 'auto', decides between dd/mm and mm/dd by looking at the whole column (defaults to dd/mm).
+    // yyyy-mm-dd values are unambiguous and are read as such whatever this returns.
+    function resolveCsvDateFormat(values, format) {
+        if (format !== 'auto') return format;
+        for (const value of values) {
+            const local = value.trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.]\d{2,4}$/);
+            if (!local) continue;
+            if (Number(local[1]) > 12) return 'dmy';
+            if (Number(local[2]) > 12) return 'mdy';
+        }
+        return 'dmy';
+    }
+
+    function parseCsvBoolean(value) {
+        const text = value.trim().toLowerCase();
+        if (['true', 'yes', 'y', '1', 'x', 'done', 'completed', 'complete'].includes(text)) return true;
+        if (['false', 'no', 'n', '0', '', 'active', 'pending', 'todo'].includes(text)) return false;
+        return null;
+    }
+
+    function guessCsvMapping(header) {
+        const mapping = {};
+        const normalised = header.map(name => name.toLowerCase().replace(/[^a-z]/g, ''));
+        CSV_COLUMNS.forEach(field => {
+            const index = normalised.findIndex(name => CSV_HEADER_ALIASES[field].includes(name));
+            mapping[field] = index;
+        });
+        return mapping;
+    }
+
+    // Turns mapped CSV rows into tasks, collecting a message for every row that can't be imported
+    function validateCsvRows(rows, mapping, dateFormat, firstLineNumber) {
+        const valid = [];
+        const errors = [];
+        const cell = (row, field) => mapping[field] > -1 ? (row[mapping[field]] ?? '').trim() : '';
+        const resolvedFormat = resolveCsvDateFormat(rows.map(row => cell(row, 'deadline').split(' ')[0]), dateFormat);
+
+        rows.forEach((row, index) => {
+            const lineNumber = firstLineNumber + index;
+            const rowErrors = [];
+
+            const subject = cell(row, 'subject');
+            const assessment = cell(row, 'assessment');
+            // A time may come in its own column or after the date ("31/10/2026 23:59")
+            const [rawDeadline, timeInDeadline] = cell(row, 'deadline').split(/[ T]+(?=\d{1,2}:\d{2})/);
+            const rawTime = cell(row, 'time') || timeInDeadline || '';
+            const rawWeighting = cell(row, 'weighting').replace('%', '');
+            const completed = parseCsvBoolean(cell(row, 'completed'));
+
+            if (!subject) rowErrors.push('subject is empty');
+            if (!assessment) rowErrors.push('assessment is empty');
+
+            const deadline = rawDeadline ? parseCsvDate(rawDeadline, resolvedFormat, dateFormat === 'auto') : null;
+            if (!rawDeadline) rowErrors.push('deadline is empty');
+            else if (!deadline) rowErrors.push(`deadline "${rawDeadline}" is not a valid date`);
+
+            const timeMatch = rawTime.match(/^(\d{1,2}):(\d{2})/);
+            const dueTime = timeMatch && Number(timeMatch[1]) < 24 && Number(timeMatch[2]) < 60
+                ? `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`
+                : null;
+            if (rawTime && !dueTime) rowErrors.push(`time "${rawTime}" should be HH:MM`);
+
+            let weighting = null;
+            if (rawWeighting) {
+                weighting = Number(rawWeighting);
+                if (isNaN(weighting) || weighting < 0 || weighting > 100) {
+                    rowErrors.push(`weighting "${rawWeighting}" must be a number between 0 and 100`);
+                }
+            }
+
+            if (completed === null) rowErrors.push(`completed "${cell(row, 'completed')}" should be yes/no or true/false`);
+
+            if (rowErrors.length > 0) {
+                errors.push(`Row ${lineNumber}: ${rowErrors.join('; ')}`);
+            } else {
+                valid.push({ subject, assessment, deadline, dueTime, weighting, notes: cell(row, 'notes'), completed });
+            }
+        });
+
+        return { valid, errors };
+    }
+
+    function importCsvFile(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const text = event.target.result.replace(/^\uFEFF/, ''); // Strip a UTF-8 BOM (Excel adds one)
+            showCsvMappingDialog(text);
+        };
+        reader.readAsText(file);
+    }
+
+    function showCsvMappingDialog(text) {
+        const body = openModal('Import from Spreadsheet');
+        let rows = [];
+        let mapping = {};
+
+        const makeSelect = (options, value) => {
+            const select = document.createElement('select');
+            options.forEach(([optionValue, label]) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = value;
+            return select;
+        };
+        const addField = (labelText, control) => {
+            const label = document.createElement('label');
+            label.className = 'modal-field';
+            label.textContent = labelText;
+            label.appendChild(control);
+            body.appendChild(label);
+            return control;
+        };
+
+        // 1. File format options
+        const delimiterSelect = addField('Delimiter ', makeSelect(Object.entries(CSV_DELIMITERS), detectCsvDelimiter(text)));
+        const headerCheckbox = document.createElement('input');
+        headerCheckbox.type = 'checkbox';
+        headerCheckbox.checked = true;
+        addField('First row contains column names ', headerCheckbox);
+        const dateFormatSelect = addField('Date format ', makeSelect([
+            ['auto', 'Detect automatically'],
+            ['ymd', 'yyyy-mm-dd'],
+            ['dmy', 'dd/mm/yyyy'],
+            ['mdy', 'mm/dd/yyyy']
+        ], 'auto'));
+
+        // 2. Column mapping
+        const mappingHeading = document.createElement('h3');
+        mappingHeading.textContent = 'Columns';
+        body.appendChild(mappingHeading);
+        const mappingContainer = document.createElement('div');
+        mappingContainer.className = 'csv-mapping';
+        body.appendChild(mappingContainer);
+
+        // 3. Validation result
+        const summary = document.createElement('p');
+        body.appendChild(summary);
+        const errorList = document.createElement('ul');
+        errorList.className = 'import-errors';
+        body.appendChild(errorList);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const importBtn = document.createElement('button');
+        actions.appendChild(importBtn);
+        body.appendChild(actions);
+
+        let validTasks = [];
+
+        const validate = () => {
+            const dataRows = headerCheckbox.checked ? rows.slice(1) : rows;
+            const missing = CSV_REQUIRED_COLUMNS.filter(field => mapping[field] === -1);
+            errorList.innerHTML = '';
+
+            if (missing.length > 0) {
+                validTasks = [];
+                summary.textContent = `Choose a column for: ${missing.join(', ')}.`;
+            } else {
+                const result = validateCsvRows(dataRows, mapping, dateFormatSelect.value, headerCheckbox.checked ? 2 : 1);
+                validTasks = result.valid;
+                summary.textContent = `${result.valid.length} of ${dataRows.length} row(s) ready to import.` +
+                    (result.errors.length ? ` ${result.errors.length} row(s) have problems and will be skipped:` : '');
+                result.errors.forEach(message => {
+                    const item = document.createElement('li');
+                    item.textContent = message;
+                    errorList.appendChild(item);
+                });
+            }
+
+            importBtn.textContent = `Import ${validTasks.length} Row(s)`;
+            importBtn.disabled = validTasks.length === 0;
+        };
+
+        const renderMapping = () => {
+            mappingContainer.innerHTML = '';
+            const columnCount = Math.max(0, ...rows.map(row => row.length));
+            const columnNames = [];
+            for (let i = 0; i < columnCount; i++) {
+                const headerName = headerCheckbox.checked && rows[0] ? rows[0][i] : '';
+                columnNames.push([String(i), headerName ? `${headerName} (column ${i + 1})` : `Column ${i + 1}`]);
+            }
+
+            CSV_COLUMNS.forEach(field => {
+                const label = document.createElement('label');
+                label.className = 'modal-field';
+                label.textContent = `${field}${CSV_REQUIRED_COLUMNS.includes(field) ? ' *' : ''} `;
+                const select = makeSelect([['-1', '— not imported —'], ...columnNames], String(mapping[field]));
+                select.addEventListener('change', () => {
+                    mapping[field] = parseInt(select.value);
+                    validate();
+                });
+                label.appendChild(select);
+                mappingContainer.appendChild(label);
+            });
+        };
+
+        const reparse = () => {
+            rows = parseCsv(text, delimiterSelect.value);
+            mapping = headerCheckbox.checked && rows[0]
+                ? guessCsvMapping(rows[0])
+                : Object.fromEntries(CSV_COLUMNS.map((field, index) => [field, index]));
+            renderMapping();
+            validate();
+        };
+
+        delimiterSelect.addEventListener('change', reparse);
+        headerCheckbox.addEventListener('change', reparse);
+        dateFormatSelect.addEventListener('change', validate);
+
+        importBtn.addEventListener('click', () => {
+            const data = getTrackerData();
+            const profile = data.profiles[data.activeProfile];
+            validTasks.forEach(task => {
+                profile.tasks.push({ ...task, id: generateTaskId() });
+                if (!profile.subjectColors.hasOwnProperty(task.subject)) {
+                    profile.subjectColors[task.subject] = pickSubjectColor(profile.subjectColors);
+                }
+            });
+            setTrackerData(data, 'Import from spreadsheet');
+            closeModal();
+            filterAssessments();
+            renderCalendar();
+            alert(`${validTasks.length} assessment(s) imported.`);
+        });
+
+        reparse();
+    }
+
+    // =================================================================
+    // NOTIFICATION & REMINDER SYSTEM
+    // =================================================================
+    
+    function getReminderSettings() {
+        const data = readTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        return { ...DEFAULT_REMINDER_SETTINGS, ...(profile && profile.reminderSettings) };
+    }
+
+    // "7d, 1d, 2h" -> ['7d', '1d', '2h']; returns null if any part isn't <number><m|h|d|w>
+    function parseReminderRules(text) {
+        const rules = text.split(',').map(part => part.trim().toLowerCase().replace(/\s+/g, '')).filter(Boolean);
+        return rules.every(rule => /^\d+[mhdw]$/.test(rule)) ? rules : null;
+    }
+
+    function reminderRuleToMinutes(rule) {
+        return parseInt(rule) * REMINDER_UNITS[rule.slice(-1)];
+    }
+
+    function describeReminderRule(rule) {
+        const amount = parseInt(rule);
+        const unit = { m: 'minute', h: 'hour', d: 'day', w: 'week' }[rule.slice(-1)];
+        return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    }
+
+    // A task's own rules win; otherwise the profile defaults, plus the earlier
+    // high-weight rules when the task is weighted heavily enough.
+    function getTaskReminderRules(task, settings) {
+        if (Array.isArray(task.reminders)) return task.reminders;
+        const rules = [...settings.rules];
+        if (task.weighting && task.weighting >= settings.highWeightThreshold) {
+            rules.push(...settings.highWeightRules);
+        }
+        return [...new Set(rules)];
+    }
+
+    // The log lives outside trackerData so firing a reminder doesn't create undo history.
+    // fired: { "<profile>|<taskId>|<rule>|<deadline>": timestamp }, snoozes: { "<profile>|<taskId>": until }
+    function loadReminderLog() {
+        try {
+            const log = JSON.parse(localStorage.getItem(REMINDER_LOG_KEY));
+            if (log && log.fired && log.snoozes) return log;
+        } catch (e) {
+            console.warn('Reminder log was unreadable and has been reset.', e);
+        }
+        return { fired: {}, snoozes: {}, dismissedSummary: null };
+    }
+
+    function saveReminderLog(log) {
+        // Forget reminders fired more than 60 days ago
+        const cutoff = Date.now() - 60 * 24 * 60 * 60 * 1000;
+        for (const key in log.fired) {
+            if (log.fired[key] < cutoff) delete log.fired[key];
+        }
+        localStorage.setItem(REMINDER_LOG_KEY, JSON.stringify(log));
+    }
+
+    // Keeps a renamed profile's reminders from firing again by moving its log entries to the new name
+    function renameReminderLogProfile(oldName, newName) {
+        const log = loadReminderLog();
+        const prefix = `${oldName}|`;
+        ['fired', 'snoozes'].forEach(section => {
+            Object.keys(log[section]).filter(key => key.startsWith(prefix)).forEach(key => {
+                log[section][`${newName}|${key.slice(prefix.length)}`] = log[section][key];
+                delete log[section][key];
+            });
+        });
+        saveReminderLog(log);
+        if (activeReminder?.profileName === oldName) activeReminder = { ...activeReminder, profileName: newName };
+    }
+
+    function describeTimeUntil(task) {
+        const minutes = Math.round((getDeadlineDate(task) - new Date()) / 60000);
+        if (minutes < 60) return `in ${Math.max(minutes, 0)} minute(s)`;
+        if (minutes < 60 * 24) return `in ${Math.round(minutes / 60)} hour(s)`;
+        const days = getDaysUntil(task);
+        return days === 1 ? 'tomorrow' : `in ${days} days`;
+    }
+
+    // Fires reminders that have come due across all profiles. Each (task, rule, deadline) fires once,
+    // even across reloads; moving the deadline re-arms its reminders. After a long absence only the
+    // latest due reminder per task is shown rather than a burst of stale ones.
+    function checkReminders() {
+        const data = getTrackerData();
+        const log = loadReminderLog();
+        const now = Date.now();
+        let changed = false;
+
+        Object.entries(data.profiles).forEach(([profileName, profile]) => {
+            const settings = { ...DEFAULT_REMINDER_SETTINGS, ...profile.reminderSettings };
+
+            profile.tasks.forEach(task => {
+                if (task.completed || isTaskArchived(task, profile.terms || [])) return;
+                const deadline = getDeadlineDate(task).getTime();
+                if (deadline <= now) return;
+
+                const taskKey = `${profileName}|${task.id}`;
+                const snoozedUntil = log.snoozes[taskKey];
+                if (snoozedUntil) {
+                    if (snoozedUntil > now) return;
+                    delete log.snoozes[taskKey];
+                    changed = true;
+                    fireReminder(profileName, task);
+                    return;
+                }
+
+                const dueRules = getTaskReminderRules(task, settings).filter(rule => {
+                    const key = `${taskKey}|${rule}|${formatDeadline(task)}`;
+                    return !log.fired[key] && deadline - reminderRuleToMinutes(rule) * 60000 <= now;
+                });
+                if (dueRules.length === 0) return;
+
+                dueRules.forEach(rule => { log.fired[`${taskKey}|${rule}|${formatDeadline(task)}`] = now; });
+                changed = true;
+                fireReminder(profileName, task);
+            });
+        });
+
+        if (changed) saveReminderLog(log);
+    }
+
+    function fireReminder(profileName, task) {
+        const profileCount = Object.keys(getTrackerData().profiles).length;
+        const title = `${task.subject}: ${task.assessment}`;
+        const body = `Due ${describeTimeUntil(task)} (${formatDeadline(task)})${profileCount > 1 ? ` · ${profileName}` : ''}`;
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            const notification = new Notification(title, { body, tag: `${profileName}|${task.id}` });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        }
+
+        // Always show it in the page too, where it can be snoozed
+        activeReminder = { profileName, taskId: task.id, text: `⏰ ${title} is due ${describeTimeUntil(task)}.` };
+        checkForUrgentTasks();
+    }
+
+    function snoozeActiveReminder(minutes) {
+        if (!activeReminder) return;
+        const log = loadReminderLog();
+        log.snoozes[`${activeReminder.profileName}|${activeReminder.taskId}`] = Date.now() + minutes * 60000;
+        saveReminderLog(log);
+        activeReminder = null;
+        checkForUrgentTasks();
+    }
+
+    function dismissReminderBanner() {
+        if (activeReminder) {
+            activeReminder = null;
+        } else {
+            // Remember what was dismissed so the same summary doesn't reappear on every re-render
+            const log = loadReminderLog();
+            log.dismissedSummary = reminderBanner.dataset.summary || null;
+            saveReminderLog(log);
+        }
+        checkForUrgentTasks();
+    }
+
     function checkForUrgentTasks() {
-        const tasks = getAssessments().filter(task => !task.completed);
+        const tasks = getVisibleAssessments().filter(task => !task.completed);
+        const { urgentDays } = getReminderSettings();
         let urgentCount = 0;
         let overdueCount = 0;
-        const today = new Date(new Date().toDateString());
 
         tasks.forEach(task => {
-            const deadline = new Date(task.deadline);
-            const daysUntil = (deadline - today) / (1000 * 60 * 60 * 24);
+            if (isOverdue(task)) {
+                overdueCount++;
+            } else if (getDaysUntil(task) <= urgentDays) {
+                urgentCount++;
+            }
+        });
+
+        // A freshly fired reminder takes over the banner until it's snoozed or dismissed
+        reminderSnoozeControls?.classList.toggle('hidden', !activeReminder);
+        if (activeReminder) {
+            reminderMessage.textContent = activeReminder.text;
+            reminderBanner.classList.remove('hidden');
+            reminderBanner.style.backgroundColor = '#007bff'; // Blue for a reminder
+            return;
+        }
+
+        // The summary only comes back after a dismiss when it changes (or on a new day)
+        const summary = `${getTodayKey()}|${getTrackerData().activeProfile}|${overdueCount}|${urgentCount}`;
+        reminderBanner.dataset.summary = summary;
+        const dismissed = loadReminderLog().dismissedSummary === summary;
+
+        if (overdueCount > 0 && !dismissed) {
+            reminderMessage.textContent = `🚨 ${overdueCount} task(s) are overdue! Please address them.`;
+            reminderBanner.classList.remove('hidden');
+            reminderBanner.style.backgroundColor = '#d9534f'; // Red for overdue
+        } else if (urgentCount > 0 && !dismissed) {
+            reminderMessage.textContent = `⚠️ ${urgentCount} task(s) are due in the next ${urgentDays} day(s).`;
+            reminderBanner.classList.remove('hidden');
+            reminderBanner.style.backgroundColor = '#ff9800'; // Orange for urgent
+        } else {
+            reminderBanner.classList.add('hidden');
+        }
+    }
+
+    function openReminderSettings() {
+        profileMenu?.classList.add('hidden');
+        const settings = getReminderSettings();
+        const body = openModal('Reminder Settings');
+
+        const intro = document.createElement('p');
+        intro.textContent = `Reminders for "${getTrackerData().activeProfile}". Use amounts like 7d, 1d, 2h or 30m, separated by commas. Individual assessments can override these in the form.`;
+        body.appendChild(intro);
+
+        const addField = (labelText, value, type = 'text') => {
+            const label = document.createElement('label');
+            label.className = 'modal-field';
+            label.textContent = labelText;
+            const input = document.createElement('input');
+            input.type = type;
+            input.value = value;
+            label.appendChild(input);
+            body.appendChild(label);
+            return input;
+        };
+
+        const rulesInput = addField('Remind me before each deadline ', settings.rules.join(', '));
+        const thresholdInput = addField('Tasks weighted at least (%) ', settings.highWeightThreshold, 'number');
+        const highWeightInput = addField('...also get reminders ', settings.highWeightRules.join(', '));
+        const urgentInput = addField('Highlight tasks due within (days) ', settings.urgentDays, 'number');
+
+        const permission = document.createElement('p');
+        if (!('Notification' in window)) {
+            permission.textContent = 'This browser does not support notifications; reminders will only appear in the page.';
+        } else if (Notification.permission === 'granted') {
+            permission.textContent = 'Browser notifications are enabled.';
+        } else {
+            const enableBtn = document.createElement('button');
+            enableBtn.type = 'button';
+            enableBtn.textContent = 'Enable Browser Notifications';
+            enableBtn.addEventListener('click', () => {
+                Notification.requestPermission().then(result => {
+                    permission.textContent = result === 'granted'
+                        ? 'Browser notifications are enabled.'
+                        : 'Notifications were not allowed; reminders will only appear in the page.';
+                });
+            });
+            permission.appendChild(enableBtn);
+        }
+        body.appendChild(permission);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            const rules = parseReminderRules(rulesInput.value);
+            const highWeightRules = parseReminderRules(highWeightInput.value);
+            const highWeightThreshold = parseFloat(thresholdInput.value);
+            const urgentDays = parseInt(urgentInput.value);
+
+            if (!rules || !highWeightRules) {
+                alert('Reminders must look like 7d, 1d, 2h or 30m, separated by commas.');
+                return;
+            }
+            if (isNaN(highWeightThreshold) || highWeightThreshold < 0 || highWeightThreshold > 100) {
+                alert('The weighting threshold must be between 0 and 100.');
+                return;
+            }
+            if (isNaN(urgentDays) || urgentDays < 0) {
+                alert('The highlight window must be 0 days or more.');
+                return;
+            }
+
+            const data = getTrackerData();
+            data.profiles[data.activeProfile].reminderSettings = { rules, highWeightThreshold, highWeightRules, urgentDays };
+            setTrackerData(data, 'Change reminder settings');
+            closeModal();
+            filterAssessments();
+            checkReminders();
+        });
+        actions.appendChild(saveBtn);
+        body.appendChild(actions);
+    }
+    
+    // =================================================================
+    // TASK RENDERING
+    // =================================================================
+
+    function renderAssessmentRow(task) {
+        const row = tableBody.insertRow();
+        row.id = `task-${task.id}`;
+        
+        // Apply color to the left border of the row
+        const color = getSubjectColorMap()[task.subject] || 'transparent';
+        row.style.borderLeft = `5px solid ${color}`;
+        
+        // Apply urgent/overdue styling for Notification feature
+        if (isOverdue(task)) {
+            row.classList.add('overdue');
+        } else if (!task.completed && getDaysUntil(task) <= getReminderSettings().urgentDays) { 
+            row.classList.add('urgent');
+        }
+
+        // 0. Selection Cell (for bulk actions)
+        const selectCell = row.insertCell();
+        selectCell.className = 'select-col';
+        const selectBox = document.createElement('input');
+        selectBox.type = 'checkbox';
+        selectBox.className = 'row-select';
+        selectBox.checked = selectedTaskIds.has(task.id);
+        selectBox.setAttribute('aria-label', `Select "${task.assessment}"`);
+        selectBox.onchange = () => {
+            toggleTaskSelection(task.id, selectBox.checked);
+            updateBulkActions();
+        };
+        selectCell.appendChild(selectBox);
+        row.classList.toggle('selected-row', selectBox.checked);
+        
+        // 1. Subject Cell (archived tasks only show up in search results)
+        const subjectCell = row.insertCell();
+        const subjectIcon = createSubjectIcon(task.subject);
+        if (subjectIcon) subjectCell.appendChild(subjectIcon);
+        subjectCell.appendChild(document.createTextNode(task.subject));
+        const archivedTerm = findTaskTerm(task, getTerms());
+        if (archivedTerm?.archived) {
+            row.classList.add('archived-row');
+            const badge = document.createElement('span');
+            badge.className = 'archived-badge';
+            badge.textContent = archivedTerm.name;
+            badge.title = 'This term is archived';
+            subjectCell.appendChild(badge);
+        }
+        
+        // 2. Assessment Cell (with expand toggle and subtask progress)
+        const assessmentCell = row.insertCell();
+        const isExpanded = expandedTaskIds.has(task.id);
+        const expandBtn = document.createElement('button');
+        expandBtn.className = 'expand-btn';
+        expandBtn.title = isExpanded ? 'Hide checklist' : 'Show checklist';
+        expandBtn.innerHTML = `<i class="fas fa-chevron-${isExpanded ? 'down' : 'right'}"></i>`;
+        expandBtn.onclick = () => toggleSubtaskPanel(task.id);
+        assessmentCell.appendChild(expandBtn);
+        assessmentCell.appendChild(document.createTextNode(task.assessment));
+        if (task.seriesId) {
+            const seriesIcon = document.createElement('i');
+            seriesIcon.className = 'fas fa-redo series-indicator';
+            seriesIcon.title = describeSeries(task, getSeriesMap(), getAssessments());
+            assessmentCell.appendChild(seriesIcon);
+        }
+        if (task.subtasks && task.subtasks.length > 0) {
+            assessmentCell.appendChild(renderSubtaskProgress(task.subtasks));
+        }
+        const trackedTime = getTrackedTime(task);
+        if (trackedTime > 0) {
+            const timeTotal = document.createElement('button');
+            timeTotal.className = 'time-total';
+            timeTotal.title = `${(task.sessions || []).length} timed session(s) – click to edit`;
+            timeTotal.innerHTML = '<i class="fas fa-stopwatch"></i> ';
+            timeTotal.appendChild(document.createTextNode(formatDuration(trackedTime)));
+            timeTotal.onclick = () => openSessionsDialog(task.id);
+            assessmentCell.appendChild(timeTotal);
+        }
+        
+        // 3. Deadline Cell
+        row.insertCell().textContent = formatDeadline(task);
+
+        // 4. Weighting Cell
+        row.insertCell().textContent = task.weighting ? `${task.weighting}%` : '-';
+
+        // 5. Score Cell
+        row.insertCell().textContent = formatScore(task);
+        
+        // 6. Notes Cell (Icon)
+        const notesCell = row.insertCell();
+        if (task.notes && task.notes.trim()) {
+            const notesIcon = document.createElement('span');
+            notesIcon.className = 'notes-indicator';
+            notesIcon.innerHTML = '&#9998;'; // Pencil emoji for notes
+            notesIcon.title = task.notes; // Tooltip to show content on hover
+            notesIcon.onclick = () => alert(`Notes for ${task.assessment}:\n\n${task.notes}`);
+            notesCell.appendChild(notesIcon);
+        } else {
+            notesCell.textContent = '-';
+        }
+        
+        // 7. Actions Cell
+        const actionsCell = row.insertCell();
+        
+        // Mark Complete Button
+        const completeBtn = document.createElement('button');
+        completeBtn.textContent = task.completed ? 'Undo' : 'Complete';
+        completeBtn.classList.add('complete-btn');
+        completeBtn.onclick = () => toggleCompletion(task.id);
+        actionsCell.appendChild(completeBtn);
+        
+        // Timer / Pomodoro Buttons (the running one turns into Stop)
+        if (!task.completed) {
+            const timer = getActiveTimer();
+            const isRunning = timer && timer.profileName === readTrackerData().activeProfile && timer.taskId === task.id;
+            if (isRunning) {
+                const stopBtn = document.createElement('button');
+                stopBtn.textContent = timer.mode === 'pomodoro' ? 'Stop 🍅' : 'Stop';
+                stopBtn.classList.add('timer-btn', 'running');
+                stopBtn.onclick = stopTimer;
+                actionsCell.appendChild(stopBtn);
+            } else {
+                const startBtn = document.createElement('button');
+                startBtn.innerHTML = '<i class="fas fa-play"></i>';
+                startBtn.title = 'Start timer';
+                startBtn.classList.add('timer-btn');
+                startBtn.onclick = () => startTimer(task.id, 'timer');
+                actionsCell.appendChild(startBtn);
+
+                const pomodoroBtn = document.createElement('button');
+                pomodoroBtn.textContent = '🍅';
+                pomodoroBtn.title = `Pomodoro (${POMODORO_WORK_MINUTES} min work / ${POMODORO_BREAK_MINUTES} min break)`;
+                pomodoroBtn.classList.add('timer-btn');
+                pomodoroBtn.onclick = () => startTimer(task.id, 'pomodoro');
+                actionsCell.appendChild(pomodoroBtn);
+            }
+        }
+
+        // Edit Button
+        const editBtn = document.createElement('button');
+        editBtn.textContent = 'Edit';
+        editBtn.classList.add('edit-btn');
+        editBtn.onclick = () => startEditing(task.id);
+        actionsCell.appendChild(editBtn);
+
+        // Move / Copy to Profile Button
+        const transferBtn = document.createElement('button');
+        transferBtn.innerHTML = '<i class="fas fa-share"></i>';
+        transferBtn.title = 'Move or copy to another profile';
+        transferBtn.classList.add('transfer-btn');
+        transferBtn.onclick = () => openTransferDialog(`"${task.assessment}"`,
+            (data, target, copy) => transferTasks(data, [task.id], data.activeProfile, target, { copy }));
+        actionsCell.appendChild(transferBtn);
+        
+        // Delete Button
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.classList.add('delete-btn');
+        deleteBtn.onclick = () => deleteAssessment(task.id);
+        actionsCell.appendChild(deleteBtn);
+
+        if (isExpanded) {
+            renderSubtaskPanel(task);
+        }
+    }
+    
+    function getTableColumnCount() {
+        return document.querySelectorAll('#assessment-table thead th').length;
+    }
+
+    function renderAllAssessments(tasks) {
+        if (!tableBody) return;
+        tableBody.innerHTML = '';
+
+        // A selection only ever covers rows that are on screen, so a bulk action can't
+        // reach tasks hidden by the current tab, filters or search
+        shownTaskIds = tasks.map(task => task.id);
+        selectedTaskIds.forEach(id => {
+            if (!shownTaskIds.includes(id)) selectedTaskIds.delete(id);
+        });
+        updateBulkActions();
+
+        if (tasks.length === 0) {
+            const row = tableBody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = getTableColumnCount();
+            cell.textContent = 'No assessments found for this view.';
+            cell.style.textAlign = 'center';
+            return;
+        }
+        tasks.forEach(renderAssessmentRow);
+    }
+
+    // =================================================================
+    // MULTI-SELECT & BULK ACTIONS
+    // =================================================================
+
+    function updateBulkActions() {
+        const count = selectedTaskIds.size;
+        const shownCount = shownTaskIds.length;
+        bulkActionsBar?.classList.toggle('hidden', count === 0);
+        if (bulkCount) bulkCount.textContent = `${count} selected`;
+        if (selectAllCheckbox) {
+            selectAllCheckbox.checked = count > 0 && count === shownCount;
+            selectAllCheckbox.indeterminate = count > 0 && count < shownCount;
+            selectAllCheckbox.disabled = shownCount === 0;
+        }
+    }
+
+    function toggleTaskSelection(taskId, selected) {
+        if (selected) selectedTaskIds.add(taskId);
+        else selectedTaskIds.delete(taskId);
+        const row = document.getElementById(`task-${taskId}`);
+        row?.classList.toggle('selected-row', selected);
+        const checkbox = row?.querySelector('.row-select');
+        if (checkbox) checkbox.checked = selected;
+    }
+
+    // Ticks (or clears) every row currently shown, i.e. whatever the tab, filters and search left
+    function selectAllShown(selected) {
+        shownTaskIds.forEach(id => toggleTaskSelection(id, selected));
+        updateBulkActions();
+    }
+
+    // Applies `mutate(task)` to every selected task of the active profile as one undoable change
+    function updateSelectedTasks(historyLabel, mutate) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        const selected = profile.tasks.filter(task => selectedTaskIds.has(task.id));
+        if (selected.length === 0) return 0;
+        selected.forEach(task => mutate(task, profile));
+        setTrackerData(data, historyLabel);
+        filterAssessments();
+        renderCalendar();
+        return selected.length;
+    }
+
+    function bulkSetCompleted(completed) {
+        const count = updateSelectedTasks(`${completed ? 'Complete' : 'Reopen'} ${selectedTaskIds.size} assessment(s)`, task => {
+            task.completed = completed;
+        });
+        if (count) showUndoToast(completed ? `Marked ${count} assessment(s) as complete.` : `Reopened ${count} assessment(s).`);
+    }
+
+    function bulkDelete() {
+        const count = selectedTaskIds.size;
+        if (!confirm(`Are you sure you want to delete ${count} assessment(s)?`)) return;
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        profile.tasks = profile.tasks.filter(task => !selectedTaskIds.has(task.id));
+        setTrackerData(data, `Delete ${count} assessment(s)`);
+        selectedTaskIds.clear();
+        filterAssessments();
+        renderCalendar();
+        showUndoToast(`Deleted ${count} assessment(s).`);
+    }
+
+    function bulkShiftDeadlines() {
+        const input = prompt(`Shift the deadlines of ${selectedTaskIds.size} assessment(s) by how many days? Use a negative number to move them earlier.`, '7');
+        if (input === null) return;
+        const days = Number(input.trim());
+        if (!Number.isInteger(days) || days === 0) {
+            alert('Please enter a whole number of days other than 0.');
+            return;
+        }
+        const count = updateSelectedTasks(`Shift ${selectedTaskIds.size} deadline(s)`, task => {
+            task.deadline = addDaysToDateKey(task.deadline, days);
+        });
+        if (count) showUndoToast(`Moved ${count} deadline(s) ${Math.abs(days)} day(s) ${days > 0 ? 'later' : 'earlier'}.`);
+    }
+
+    function bulkChangeSubject() {
+        const input = prompt(`New subject for ${selectedTaskIds.size} assessment(s):`);
+        const subject = input?.trim();
+        if (!subject) return;
+        const count = updateSelectedTasks(`Change subject of ${selectedTaskIds.size} assessment(s)`, (task, profile) => {
+            task.subject = subject;
+            if (!profile.subjectColors.hasOwnProperty(subject)) {
+                profile.subjectColors[subject] = pickSubjectColor(profile.subjectColors);
+            }
+        });
+        if (count) showUndoToast(`Moved ${count} assessment(s) to "${subject}".`);
+    }
+
+    function runBulkAction(action) {
+        if (selectedTaskIds.size === 0) return;
+        switch (action) {
+            case 'complete': bulkSetCompleted(true); break;
+            case 'reopen': bulkSetCompleted(false); break;
+            case 'delete': bulkDelete(); break;
+            case 'shift': bulkShiftDeadlines(); break;
+            case 'subject': bulkChangeSubject(); break;
+            case 'transfer': {
+                const taskIds = [...selectedTaskIds];
+                openTransferDialog(`${taskIds.length} assessment(s)`,
+                    (data, target, copy) => transferTasks(data, taskIds, data.activeProfile, target, { copy }));
+                break;
+            }
+            case 'clear': selectAllShown(false); break;
+        }
+    }
+
+    // =================================================================
+    // SUBTASKS / CHECKLISTS
+    // =================================================================
+
+    function renderSubtaskProgress(subtasks) {
+        const doneCount = subtasks.filter(subtask => subtask.done).length;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'subtask-progress';
+        wrapper.title = `${doneCount} of ${subtasks.length} steps done`;
+
+        const bar = document.createElement('div');
+        bar.className = 'subtask-progress-bar';
+        const fill = document.createElement('div');
+        fill.className = 'subtask-progress-fill';
+        fill.style.width = `${(doneCount / subtasks.length) * 100}%`;
+        bar.appendChild(fill);
+        wrapper.appendChild(bar);
+
+        const label = document.createElement('span');
+        label.textContent = `${doneCount}/${subtasks.length}`;
+        wrapper.appendChild(label);
+        return wrapper;
+    }
+
+    function toggleSubtaskPanel(taskId) {
+        if (expandedTaskIds.has(taskId)) expandedTaskIds.delete(taskId);
+        else expandedTaskIds.add(taskId);
+        filterAssessments();
+    }
+
+    // Runs `mutate(subtasks, task)` on a task's checklist and saves it. When the change ticks off
+    // the last open step, offers to complete the assessment itself.
+    function updateSubtasks(taskId, historyLabel, mutate) {
+        const tasks = getEditableAssessments();
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const subtasks = task.subtasks || [];
+        const wasAllDone = subtasks.length > 0 && subtasks.every(subtask => subtask.done);
+        mutate(subtasks, task);
+        task.subtasks = subtasks;
+        updateCurrentProfileAssessments(tasks, historyLabel);
+
+        const isAllDone = subtasks.length > 0 && subtasks.every(subtask => subtask.done);
+        if (!wasAllDone && isAllDone && !task.completed &&
+            confirm(`All steps of "${task.assessment}" are done. Mark the assessment as complete?`)) {
+            toggleCompletion(task.id);
+            return;
+        }
+
+        filterAssessments();
+        renderCalendar();
+    }
+
+    // The expanded row under an assessment: ordered checklist plus an "add step" form
+    function renderSubtaskPanel(task) {
+        const panelRow = tableBody.insertRow();
+        panelRow.className = 'subtask-row';
+        const cell = panelRow.insertCell();
+        cell.colSpan = getTableColumnCount();
+
+        const subtasks = task.subtasks || [];
+        const list = document.createElement('ol');
+        list.className = 'subtask-list';
+
+        subtasks.forEach((subtask, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('done', subtask.done);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = subtask.done;
+            checkbox.addEventListener('change', () => {
+                updateSubtasks(task.id, `${checkbox.checked ? 'Tick' : 'Untick'} "${subtask.title}"`, list => {
+                    list[index].done = checkbox.checked;
+                });
+            });
+            item.appendChild(checkbox);
+
+            const title = document.createElement('span');
+            title.className = 'subtask-title';
+            title.textContent = subtask.title;
+            item.appendChild(title);
+
+            const dueInput = document.createElement('input');
+            dueInput.type = 'date';
+            dueInput.value = subtask.dueDate || '';
+            dueInput.title = 'Step due date (optional)';
+            dueInput.addEventListener('change', () => {
+                updateSubtasks(task.id, `Change due date of "${subtask.title}"`, list => {
+                    list[index].dueDate = dueInput.value || null;
+                });
+            });
+            item.appendChild(dueInput);
+
+            const controls = [
+                ['fa-arrow-up', 'Move up', index > 0, list => list.splice(index - 1, 0, list.splice(index, 1)[0])],
+                ['fa-arrow-down', 'Move down', index < subtasks.length - 1, list => list.splice(index + 1, 0, list.splice(index, 1)[0])],
+                ['fa-pencil-alt', 'Rename', true, null],
+                ['fa-times', 'Remove', true, list => list.splice(index, 1)]
+            ];
+            controls.forEach(([icon, label, enabled, mutate]) => {
+                const button = document.createElement('button');
+                button.className = 'subtask-control';
+                button.title = label;
+                button.disabled = !enabled;
+                button.innerHTML = `<i class="fas ${icon}"></i>`;
+                button.addEventListener('click', () => {
+                    if (mutate) {
+                        updateSubtasks(task.id, `${label} step "${subtask.title}"`, mutate);
+                        return;
+                    }
+                    const newTitle = prompt('Rename step:', subtask.title);
+                    if (newTitle && newTitle.trim()) {
+                        updateSubtasks(task.id, `Rename step "${subtask.title}"`, list => {
+                            list[index].title = newTitle.trim();
+                        });
+                    }
+                });
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+        cell.appendChild(list);
+
+        // Add-step form
+        const addForm = document.createElement('form');
+        addForm.className = 'subtask-add-form';
+        const titleInput = document.createElement('input');
+        titleInput.type = 'text';
+        titleInput.placeholder = 'Add a step (e.g. Research, Outline, Draft, Proofread)';
+        titleInput.required = true;
+        const dueInput = document.createElement('input');
+        dueInput.type = 'date';
+        dueInput.title = 'Step due date (optional)';
+        const addBtn = document.createElement('button');
+        addBtn.type = 'submit';
+        addBtn.textContent = 'Add Step';
+        addForm.append(titleInput, dueInput, addBtn);
+        addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const title = titleInput.value.trim();
+            if (!title) return;
+            updateSubtasks(task.id, `Add step "${title}"`, list => {
+                list.push({ id: generateTaskId(), title, dueDate: dueInput.value || null, done: false });
+            });
+            // Keep typing steps without reaching for the mouse
+            document.querySelector(`#task-${task.id} + .subtask-row .subtask-add-form input[type="text"]`)?.focus();
+        });
+        cell.appendChild(addForm);
+    }
+
+    // =================================================================
+    // TIME TRACKING & POMODORO
+    // =================================================================
+
+    // The running timer lives in localStorage as { profileName, taskId, start, mode, phase, phaseEnd }.
+    // It's only turned into a session on the task when it stops (or a Pomodoro work phase ends).
+    let timerTicker = null;
+
+    function getActiveTimer() {
+        try {
+            return JSON.parse(localStorage.getItem(ACTIVE_TIMER_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function setActiveTimer(timer) {
+        if (timer) localStorage.setItem(ACTIVE_TIMER_KEY, JSON.stringify(timer));
+        else localStorage.removeItem(ACTIVE_TIMER_KEY);
+    }
+
+    function getTrackedTime(task) {
+        return (task.sessions || []).reduce((sum, session) => sum + (session.end - session.start), 0);
+    }
+
+    // 5400000 -> "1h 30m", 1500000 -> "25m", 20000 -> "0m"
+    function formatDuration(ms) {
+        const totalMinutes = Math.floor(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+    }
+
+    // 83000 -> "01:23"
+    function formatClock(ms) {
+        const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor(totalSeconds / 60) % 60).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    function findTimerTask(timer) {
+        const profile = getTrackerData().profiles[timer.profileName];
+        return profile?.tasks.find(task => task.id === timer.taskId) || null;
+    }
+
+    // Adds a session to a task in any profile (the timer may belong to a profile that isn't active)
+    function addSession(timer, start, end) {
+        if (end - start < 1000) return; // Ignore accidental start/stop clicks
+        const data = getTrackerData();
+        const task = data.profiles[timer.profileName]?.tasks.find(t => t.id === timer.taskId);
+        if (!task) {
+            showToast('The timed assessment no longer exists, so the session was discarded.');
+            return;
+        }
+        task.sessions = [...(task.sessions || []), { id: generateTaskId(), start, end, mode: timer.mode }];
+        setTrackerData(data, `Log time on "${task.assessment}"`);
+    }
+
+    function startTimer(taskId, mode) {
+        const running = getActiveTimer();
+        if (running) {
+            const runningTask = findTimerTask(running);
+            if (!confirm(`Stop the timer on "${runningTask?.assessment || 'another assessment'}" and start this one?`)) return;
+            stopTimer();
+        }
+
+        const now = Date.now();
+        setActiveTimer({
+            profileName: getTrackerData().activeProfile,
+            taskId,
+            start: now,
+            mode,
+            phase: 'work',
+            phaseEnd: mode === 'pomodoro' ? now + POMODORO_WORK_MINUTES * 60000 : null
+        });
+        startTimerTicker();
+        filterAssessments();
+    }
+
+    function stopTimer() {
+        const timer = getActiveTimer();
+        if (!timer) return;
+        setActiveTimer(null);
+        // A break isn't work, so only a work phase is saved
+        if (timer.phase === 'work') addSession(timer, timer.start, Date.now());
+        updateTimerBar();
+        filterAssessments();
+        renderCalendar();
+    }
+
+    // Moves a Pomodoro on to its next phase once the current one has run out. If the page was
+    // closed through a whole work + break cycle, the finished work is saved but no more is invented.
+    function advancePomodoro(timer) {
+        const now = Date.now();
+        if (timer.mode !== 'pomodoro' || now < timer.phaseEnd) return timer;
+
+        const task = findTimerTask(timer);
+        const name = task ? `"${task.assessment}"` : 'your assessment';
+        if (timer.phase === 'work') {
+            addSession(timer, timer.start, timer.phaseEnd);
+            const breakEnd = timer.phaseEnd + POMODORO_BREAK_MINUTES * 60000;
+            if (now >= breakEnd) {
+                setActiveTimer(null);
+                showToast(`Pomodoro on ${name} finished while you were away; the work session was saved.`);
+                return null;
+            }
+            timer = { ...timer, phase: 'break', start: timer.phaseEnd, phaseEnd: breakEnd };
+            notifyTimer('Pomodoro complete 🍅', `Take a ${POMODORO_BREAK_MINUTES} minute break from ${name}.`);
+        } else {
+            timer = { ...timer, phase: 'work', start: timer.phaseEnd, phaseEnd: timer.phaseEnd + POMODORO_WORK_MINUTES * 60000 };
+            notifyTimer('Break over', `Back to ${name}.`);
+        }
+        setActiveTimer(timer);
+        filterAssessments();
+        return timer;
+    }
+
+    function notifyTimer(title, body) {
+        showToast(`${title} – ${body}`);
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(title, { body, tag: 'academic-tracker-timer' });
+        }
+    }
+
+    function updateTimerBar() {
+        let timer = getActiveTimer();
+        if (timer) timer = advancePomodoro(timer);
+        if (!timer) {
+            timerBar?.classList.add('hidden');
+            clearInterval(timerTicker);
+            timerTicker = null;
+            return;
+        }
+
+        const task = findTimerTask(timer);
+        const otherProfile = timer.profileName !== getTrackerData().activeProfile ? ` (${timer.profileName})` : '';
+        const name = `${task ? `${task.subject}: ${task.assessment}` : 'Deleted assessment'}${otherProfile}`;
+        if (timer.mode === 'pomodoro') {
+            const remaining = formatClock(timer.phaseEnd - Date.now());
+            timerLabel.textContent = timer.phase === 'work' ? `🍅 ${remaining} – ${name}` : `☕ Break ${remaining} – next: ${name}`;
+        } else {
+            timerLabel.textContent = `⏱ ${formatClock(Date.now() - timer.start)} – ${name}`;
+        }
+        timerBar?.classList.remove('hidden');
+    }
+
+    function startTimerTicker() {
+        updateTimerBar();
+        if (!timerTicker && getActiveTimer()) timerTicker = setInterval(updateTimerBar, 1000);
+    }
+
+    // Lists a task's sessions with inline editing of their date and times
+    function openSessionsDialog(taskId) {
+        const task = getAssessments().find(t => t.id === taskId);
+        if (!task) return;
+        const body = openModal(`Time on "${task.assessment}"`);
+
+        const total = document.createElement('p');
+        total.textContent = `Total: ${formatDuration(getTrackedTime(task))} over ${(task.sessions || []).length} session(s).`;
+        body.appendChild(total);
+
+        const table = document.createElement('table');
+        table.className = 'preview-table';
+        table.innerHTML = '<thead><tr><th>Date</th><th>Start</th><th>End</th><th>Length</th><th>Type</th><th></th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        [...(task.sessions || [])].sort((a, b) => a.start - b.start).forEach(session => {
+            const row = tbody.insertRow();
+            const start = new Date(session.start);
+            const end = new Date(session.end);
+            row.insertCell().textContent = formatDateKey(start);
+            row.insertCell().textContent = formatTimeKey(start);
+            row.insertCell().textContent = formatTimeKey(end);
+            row.insertCell().textContent = formatDuration(session.end - session.start);
+            row.insertCell().textContent = session.mode === 'pomodoro' ? '🍅 Pomodoro' : 'Timer';
+
+            const actionsCell = row.insertCell();
+            const editBtn = document.createElement('button');
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => editSessionRow(row, task.id, session));
+            actionsCell.appendChild(editBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.addEventListener('click', () => {
+                if (!confirm('Delete this session?')) return;
+                updateSessions(taskId, 'Delete time session', sessions => sessions.filter(s => s.id !== session.id));
+            });
+            actionsCell.appendChild(deleteBtn);
+        });
+        table.appendChild(tbody);
+        body.appendChild(table);
+    }
+
+    function editSessionRow(row, taskId, session) {
+        const start = new Date(session.start);
+        const end = new Date(session.end);
+        row.innerHTML = '';
+
+        const makeInput = (type, value) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.value = value;
+            row.insertCell().appendChild(input);
+            return input;
+        };
+        const dateInput = makeInput('date', formatDateKey(start));
+        const startInput = makeInput('time', formatTimeKey(start));
+        const endInput = makeInput('time', formatTimeKey(end));
+        row.insertCell().textContent = '';
+        row.insertCell().textContent = session.mode === 'pomodoro' ? '🍅 Pomodoro' : 'Timer';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            if (!dateInput.value || !startInput.value || !endInput.value) {
+                alert('Please fill in the date, start and end time.');
+                return;
+            }
+            const newStart = parseDateKey(dateInput.value);
+            const [startHours, startMinutes] = startInput.value.split(':').map(Number);
+            newStart.setHours(startHours, startMinutes);
+            const newEnd = parseDateKey(dateInput.value);
+            const [endHours, endMinutes] = endInput.value.split(':').map(Number);
+            newEnd.setHours(endHours, endMinutes);
+            if (newEnd <= newStart) newEnd.setDate(newEnd.getDate() + 1); // Ran past midnight
+
+            updateSessions(taskId, 'Edit time session', sessions => sessions.map(s =>
+                s.id === session.id ? { ...s, start: newStart.getTime(), end: newEnd.getTime() } : s
+            ));
+        });
+        row.insertCell().appendChild(saveBtn);
+    }
+
+    function updateSessions(taskId, label, mutate) {
+        const tasks = getEditableAssessments();
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) return;
+        task.sessions = mutate(task.sessions || []);
+        updateCurrentProfileAssessments(tasks, label);
+        filterAssessments();
+        renderCalendar();
+        openSessionsDialog(taskId); // Redraw with the change
+    }
+
+
+    // =================================================================
+    // CUSTOM COLOR/ICON PER SUBJECT FUNCTIONS
+    // =================================================================
+
+    function renderColorPicker(subject) {
+        const existingPicker = document.getElementById('subject-color-picker');
+        if (existingPicker) existingPicker.remove();
+        if (!subject || !notesInput) return; // Ensure notesInput exists for insertion
+
+        const container = document.createElement('div');
+        container.id = 'subject-color-picker';
+        container.classList.add('color-picker-container');
+        
+        const currentColor = getSubjectColorMap()[subject] || 'transparent';
+        const label = document.createElement('span');
+        label.textContent = `Choose color for "${subject}":`;
+        container.appendChild(label);
+
+        COLORS.forEach(color => {
+            const option = document.createElement('div');
+            option.className = 'color-option';
+            option.style.backgroundColor = color;
+            option.setAttribute('data-color', color);
+            
+            if (color === currentColor) {
+                option.classList.add('selected');
+            }
+
+            option.addEventListener('click', () => {
+                // Deselect all and select current
+                container.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('selected'));
+                option.classList.add('selected');
+                
+                // Update storage and UI
+                setSubjectColor(subject, color);
+                updateSubjectPreview(subject); 
+                filterAssessments(); 
+            });
+            container.appendChild(option);
+        });
+
+        // Any other colour
+        const customColor = document.createElement('input');
+        customColor.type = 'color';
+        customColor.className = 'custom-color-input';
+        customColor.title = 'Pick any colour';
+        customColor.value = /^#[0-9a-f]{6}$/i.test(currentColor) ? currentColor : COLORS[0];
+        if (currentColor !== 'transparent' && !COLORS.includes(currentColor)) customColor.classList.add('selected');
+        customColor.addEventListener('change', () => {
+            container.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('selected'));
+            customColor.classList.add('selected');
+            setSubjectColor(subject, customColor.value);
+            updateSubjectPreview(subject);
+            filterAssessments();
+        });
+        container.appendChild(customColor);
+
+        container.appendChild(createIconSelect(subject));
+
+        // Insert the picker before the notes input
+        notesInput.parentNode.insertBefore(container, notesInput);
+    }
+
+    function createIconSelect(subject, onChange) {
+        const select = document.createElement('select');
+        select.className = 'subject-icon-select';
+        select.title = `Icon for "${subject}"`;
+        select.innerHTML = '<option value="">No icon</option>';
+        SUBJECT_ICONS.forEach(([name, label]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = getSubjectIconMap()[subject] || '';
+        select.addEventListener('change', () => {
+            setSubjectIcon(subject, select.value || null);
+            updateSubjectPreview(subjectInput.value.trim());
+            filterAssessments();
+            if (onChange) onChange();
+        });
+        return select;
+    }
+
+    function setSubjectIcon(subject, icon) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        if (icon) profile.subjectIcons[subject] = icon;
+        else delete profile.subjectIcons[subject];
+        setTrackerData(data, `Change icon of "${subject}"`);
+    }
+    
+    function updateSubjectPreview(subject) {
+        if (!subjectColorPreview) return;
+        const color = getSubjectColorMap()[subject];
+        subjectColorPreview.style.backgroundColor = color || 'transparent';
+        subjectColorPreview.style.border = color ? '1px solid #333' : '1px dashed #ced4da';
+        subjectColorPreview.innerHTML = '';
+        const icon = createSubjectIcon(subject);
+        if (icon) subjectColorPreview.appendChild(icon);
+    }
+
+    // Every subject the profile knows about: from its tasks (all terms) and its colour/icon settings
+    function getAllSubjects() {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        return [...new Set([
+            ...profile.tasks.map(task => task.subject),
+            ...Object.keys(profile.subjectColors),
+            ...Object.keys(profile.subjectIcons || {})
+        ])].sort((a, b) => a.localeCompare(b));
+    }
+
+    function updateSubjectAutocomplete() {
+        if (!subjectOptionsList) return;
+        const tasks = getAssessments();
+        subjectOptionsList.innerHTML = '';
+        [...new Set(tasks.map(task => task.subject))].sort((a, b) => a.localeCompare(b)).forEach(subject => {
+            const option = document.createElement('option');
+            option.value = subject;
+            subjectOptionsList.appendChild(option);
+        });
+    }
+
+    // Renames `from` to `to` on every task of the profile. If `to` already exists this is a merge:
+    // its colour and icon are kept, and `from`'s are dropped.
+    function renameSubject(from, to) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        const isMerge = getAllSubjects().includes(to);
+
+        profile.tasks.forEach(task => {
+            if (task.subject === from) task.subject = to;
+        });
+        [profile.subjectColors, profile.subjectIcons].forEach(map => {
+            if (map.hasOwnProperty(from) && !map.hasOwnProperty(to)) map[to] = map[from];
+            delete map[from];
+        });
+        setTrackerData(data, isMerge ? `Merge "${from}" into "${to}"` : `Rename subject "${from}"`);
+
+        if (subjectFilter?.value === from) subjectFilter.value = to;
+        if (subjectInput.value.trim() === from) subjectInput.value = to;
+        filterAssessments();
+        renderCalendar();
+    }
+
+    function deleteUnusedSubject(subject) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        delete profile.subjectColors[subject];
+        delete profile.subjectIcons[subject];
+        setTrackerData(data, `Delete subject "${subject}"`);
+    }
+
+    function openSubjectManager() {
+        profileMenu?.classList.add('hidden');
+        const subjects = getAllSubjects();
+        const tasks = getAssessments();
+        const colorMap = getSubjectColorMap();
+        const body = openModal('Manage Subjects');
+
+        if (subjects.length === 0) {
+            body.appendChild(document.createTextNode('No subjects yet. They appear here once an assessment uses them.'));
+            return;
+        }
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Renaming a subject updates every assessment that uses it, in every term. Renaming it to an existing subject merges the two.';
+        body.appendChild(intro);
+
+        const table = document.createElement('table');
+        table.className = 'preview-table subject-manager-table';
+        table.innerHTML = '<thead><tr><th>Colour</th><th>Icon</th><th>Subject</th><th>Assessments</th><th></th></tr></thead>';
+        const tbody = document.createElement('tbody');
+
+        subjects.forEach(subject => {
+            const count = tasks.filter(task => task.subject === subject).length;
+            const row = tbody.insertRow();
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = /^#[0-9a-f]{6}$/i.test(colorMap[subject] || '') ? colorMap[subject] : '#007bff';
+            colorInput.addEventListener('change', () => {
+                setSubjectColor(subject, colorInput.value);
+                updateSubjectPreview(subjectInput.value.trim());
+                filterAssessments();
+                renderCalendar();
+            });
+            row.insertCell().appendChild(colorInput);
+            row.insertCell().appendChild(createIconSelect(subject, () => renderCalendar()));
+            row.insertCell().textContent = subject;
+            row.insertCell().textContent = count;
+
+            const actionsCell = row.insertCell();
+            const renameBtn = document.createElement('button');
+            renameBtn.textContent = 'Rename';
+            renameBtn.addEventListener('click', () => {
+                const input = prompt(`Rename "${subject}" to:`, subject);
+                const newName = input?.trim();
+                if (!newName || newName === subject) return;
+                if (subjects.includes(newName) && !confirm(`"${newName}" already exists. Merge "${subject}" into it?`)) return;
+                renameSubject(subject, newName);
+                openSubjectManager();
+            });
+            actionsCell.appendChild(renameBtn);
+
+            const otherSubjects = subjects.filter(other => other !== subject);
+            if (otherSubjects.length > 0) {
+                const mergeSelect = document.createElement('select');
+                mergeSelect.innerHTML = '<option value="">Merge into…</option>';
+                otherSubjects.forEach(other => {
+                    const option = document.createElement('option');
+                    option.value = other;
+                    option.textContent = other;
+                    mergeSelect.appendChild(option);
+                });
+                mergeSelect.addEventListener('change', () => {
+                    const target = mergeSelect.value;
+                    if (!target) return;
+                    if (!confirm(`Move all ${count} assessment(s) from "${subject}" into "${target}"? "${subject}" will be removed.`)) {
+                        mergeSelect.value = '';
+                        return;
+                    }
+                    renameSubject(subject, target);
+                    openSubjectManager();
+                });
+                actionsCell.appendChild(mergeSelect);
+            }
+
+            const transferBtn = document.createElement('button');
+            transferBtn.textContent = 'Move / Copy…';
+            transferBtn.title = 'Move or copy this subject and its assessments to another profile';
+            transferBtn.addEventListener('click', () => {
+                openTransferDialog(`"${subject}" and its ${count} assessment(s)`,
+                    (data, target, copy) => transferSubject(data, subject, data.activeProfile, target, { copy }));
+            });
+            actionsCell.appendChild(transferBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.disabled = count > 0;
+            deleteBtn.title = count > 0 ? 'Only subjects with no assessments can be deleted' : 'Delete this subject';
+            deleteBtn.addEventListener('click', () => {
+                deleteUnusedSubject(subject);
+                openSubjectManager();
+            });
+            actionsCell.appendChild(deleteBtn);
+        });
+
+        table.appendChild(tbody);
+        body.appendChild(table);
+    }
+
+    // =================================================================
+    // RECURRING ASSESSMENTS
+    // =================================================================
+
+    const FREQUENCY_LABELS = { daily: 'Daily', weekly: 'Weekly', fortnightly: 'Fortnightly', monthly: 'Monthly' };
+
+    // Parses "2026-04-06..2026-04-17, 2026-05-01" into a list of YYYY-MM-DD keys (null if malformed)
+    function parseSkipDates(text) {
+        const dates = [];
+        const isDateKey = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDateKey(parseDateKey(value)) === value;
+
+        for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+            const [from, to] = part.split('..').map(item => item.trim());
+            if (!isDateKey(from) || (to !== undefined && !isDateKey(to))) return null;
+            if (to === undefined) {
+                dates.push(from);
+                continue;
+            }
+            for (let key = from; key <= to; key = addDaysToDateKey(key, 1)) dates.push(key);
+        }
+        return dates;
+    }
+
+    // The `step`-th slot of a series. Monthly series keep the day of the month, clamped to the
+    // month's length (a series starting on the 31st falls on the 30th/28th in shorter months).
+    function getOccurrenceDate(start, frequency, step) {
+        if (frequency === 'monthly') {
+            const lastDay = new Date(start.getFullYear(), start.getMonth() + step + 1, 0).getDate();
+            return new Date(start.getFullYear(), start.getMonth() + step, Math.min(start.getDate(), lastDay));
+        }
+        const stepDays = { daily: 1, weekly: 7, fortnightly: 14 }[frequency];
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + step * stepDays);
+    }
+
+    // rule: { frequency, count, until, skip }. `count` counts generated occurrences, so skipped
+    // dates (e.g. a mid-term break) don't use up the series.
+    function generateOccurrenceDates(startKey, rule) {
+        const start = parseDateKey(startKey);
+        const skip = new Set(rule.skip);
+        const dates = [];
+
+        for (let step = 0; dates.length < MAX_SERIES_OCCURRENCES && step < MAX_SERIES_OCCURRENCES * 10; step++) {
+            const dateKey = formatDateKey(getOccurrenceDate(start, rule.frequency, step));
+            if (rule.until && dateKey > rule.until) break;
+            if (!skip.has(dateKey)) dates.push(dateKey);
+            if (rule.count && dates.length >= rule.count) break;
+        }
+        return dates;
+    }
+
+    // Reads the recurrence controls; returns null (after alerting) when they're invalid
+    function readRecurrenceRule(startKey) {
+        const rule = { frequency: recurrenceFrequencyInput.value, count: null, until: null, skip: [] };
+
+        if (recurrenceEndTypeInput.value === 'until') {
+            rule.until = recurrenceUntilInput.value;
+            if (!rule.until || rule.until < startKey) {
+                alert('Choose an end date on or after the first deadline.');
+                return null;
+            }
+        } else {
+            rule.count = parseInt(recurrenceCountInput.value);
+            if (!rule.count || rule.count < 1 || rule.count > MAX_SERIES_OCCURRENCES) {
+                alert(`The number of occurrences must be between 1 and ${MAX_SERIES_OCCURRENCES}.`);
+                return null;
+            }
+        }
+
+        const skip = parseSkipDates(recurrenceSkipInput.value);
+        if (skip === null) {
+            alert('Skipped dates must be YYYY-MM-DD dates or ranges like 2026-04-06..2026-04-17, separated by commas.');
+            return null;
+        }
+        rule.skip = skip;
+        return rule;
+    }
+
+    function getSeriesMap() {
+        const data = readTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        return (profile && profile.series) ? profile.series : {};
+    }
+
+    // e.g. "Weekly · 3 of 10"
+    function describeSeries(task, seriesMap, tasks) {
+        const series = seriesMap[task.seriesId];
+        if (!series) return 'Recurring';
+        const total = tasks.filter(t => t.seriesId === task.seriesId).length;
+        return `${FREQUENCY_LABELS[series.frequency]} · ${task.seriesIndex} of ${total}`;
+    }
+
+    // Creates one task per occurrence, each with its own id and completion state
+    function createSeries(taskData, rule) {
+        const dates = generateOccurrenceDates(taskData.deadline, rule);
+        if (dates.length === 0) {
+            alert('That recurrence rule does not produce any dates.');
+            return false;
+        }
+
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        const seriesId = generateTaskId();
+        profile.series[seriesId] = { ...rule, baseName: taskData.assessment };
+
+        dates.forEach((deadline, index) => {
+            profile.tasks.push({
+                ...taskData,
+                assessment: `${taskData.assessment} #${index + 1}`,
+                deadline,
+                id: generateTaskId(),
+                completed: false,
+                seriesId,
+                seriesIndex: index + 1
+            });
+        });
+
+        setTrackerData(data, `Add "${taskData.assessment}" series`);
+        return true;
+    }
+
+    // Applies an edit of one occurrence to 'one', 'following' or 'all' occurrences of its series
+    function applySeriesEdit(originalTask, taskData, scope) {
+        if (scope === 'one') {
+            updateAssessment({ ...taskData, id: originalTask.id });
+            return;
+        }
+
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        const shiftDays = daysBetweenDateKeys(originalTask.deadline, taskData.deadline);
+        const baseName = taskData.assessment.replace(new RegExp(`\\s*#${originalTask.seriesIndex}$`), '');
+
+        profile.tasks.forEach(task => {
+            if (task.seriesId !== originalTask.seriesId) return;
+            if (scope === 'following' && task.seriesIndex < originalTask.seriesIndex) return;
+
+            // Shared fields follow the edit; marks and completion stay per occurrence
+            task.subject = taskData.subject;
+            task.weighting = taskData.weighting;
+            task.notes = taskData.notes;
+            task.dueTime = taskData.dueTime;
+            task.reminders = taskData.reminders;
+            task.estimatedHours = taskData.estimatedHours;
+            task.termId = taskData.termId;
+            task.assessment = `${baseName} #${task.seriesIndex}`;
+            task.deadline = task.id === originalTask.id ? taskData.deadline : addDaysToDateKey(task.deadline, shiftDays);
+            if (task.id === originalTask.id && taskData.hasOwnProperty('score')) {
+                task.score = taskData.score;
+                task.scoreOutOf = taskData.scoreOutOf;
+            }
+        });
+
+        if (scope === 'all' && profile.series[originalTask.seriesId]) {
+            profile.series[originalTask.seriesId].baseName = baseName;
+        }
+
+        setTrackerData(data, `Edit "${baseName}" series`);
+        filterAssessments();
+        renderCalendar();
+    }
+
+    function chooseSeriesEditScope(originalTask, taskData) {
+        const body = openModal('Edit Recurring Assessment');
+        const intro = document.createElement('p');
+        intro.textContent = `"${originalTask.assessment}" is part of a series. Which occurrences should this change apply to?`;
+        body.appendChild(intro);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions series-scope-actions';
+        [['one', 'This One'], ['following', 'This and Following'], ['all', 'Whole Series']].forEach(([scope, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                closeModal();
+                applySeriesEdit(originalTask, taskData, scope);
+                resetAssessmentForm();
+            });
+            actions.appendChild(button);
+        });
+        body.appendChild(actions);
+    }
+
+    function updateRecurrenceControls() {
+        recurrenceOptions?.classList.toggle('hidden', !recurrenceFrequencyInput.value);
+        recurrenceCountInput?.classList.toggle('hidden', recurrenceEndTypeInput.value !== 'count');
+        recurrenceUntilInput?.classList.toggle('hidden', recurrenceEndTypeInput.value !== 'until');
+    }
+
+    // =================================================================
+    // FORM SUBMISSION
+    // =================================================================
+
+    form?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const subject = subjectInput.value.trim();
+        const assessment = assessmentInput.value.trim();
+        const deadline = deadlineInput.value;
+        const dueTime = dueTimeInput?.value || null;
+        const weighting = weightingInput.value ? parseInt(weightingInput.value) : null; 
+        const notes = notesInput.value.trim(); 
+
+        const estimatedHours = estimatedHoursInput?.value ? parseFloat(estimatedHoursInput.value) : null;
+        const termId = taskTermInput?.value || null; // Blank = by deadline
+        const taskData = { subject, assessment, deadline, dueTime, weighting, notes, estimatedHours, termId };
+
+        // Per-task reminders: blank = profile defaults, "none" = no reminders
+        const remindersText = taskRemindersInput?.value.trim() || '';
+        if (remindersText.toLowerCase() === 'none') {
+            taskData.reminders = [];
+        } else if (remindersText) {
+            taskData.reminders = parseReminderRules(remindersText);
+            if (!taskData.reminders) {
+                alert('Reminders must look like 7d, 1d, 2h or 30m, separated by commas (or "none").');
+                return;
+            }
+        } else {
+            taskData.reminders = null;
+        }
+
+        if (weighting !== null && (weighting < 0 || weighting > 100)) {
+            alert('Weighting must be between 0 and 100.');
+            return;
+        }
+
+        if (estimatedHours !== null && (isNaN(estimatedHours) || estimatedHours <= 0)) {
+            alert('Estimated hours must be more than 0 (or left blank).');
+            return;
+        }
+
+        // Marks can only be entered once a task is completed (fields are shown by startEditing)
+        if (editingTaskId && !scoreFields.classList.contains('hidden')) {
+            const score = scoreInput.value !== '' ? parseFloat(scoreInput.value) : null;
+            const scoreOutOf = scoreOutOfInput.value !== '' ? parseFloat(scoreOutOfInput.value) : null;
+
+            if (score !== null) {
+                if (score < 0) {
+                    alert('Score cannot be negative.');
+                    return;
+                }
+                if (scoreOutOf !== null && scoreOutOf <= 0) {
+                    alert('"Out of" must be greater than 0.');
+                    return;
+                }
+                if (score > (scoreOutOf ?? 100)) {
+                    alert(scoreOutOf !== null ? `Score cannot be more than ${scoreOutOf}.` : 'A percentage score must be between 0 and 100.');
+                    return;
+                }
+            }
+
+            taskData.score = score;
+            taskData.scoreOutOf = score !== null ? scoreOutOf : null;
+        }
+
+        // Warn (and let the user back out) if this overloads the week it's due in
+        if (!confirmWorkloadClash(taskData, editingTaskId)) return;
+
+        if (editingTaskId) {
+            const originalTask = getAssessments().find(task => task.id === editingTaskId);
+            if (originalTask?.seriesId) {
+                // Recurring: ask which occurrences to change; the form is reset once the user picks
+                chooseSeriesEditScope(originalTask, taskData);
+                return;
+            }
+
+            // Edit existing task
+            const updatedTask = { ...taskData, id: editingTaskId };
+            updateAssessment(updatedTask);
+        } else if (recurrenceFrequencyInput?.value) {
+            // Add a recurring series (one undo step, even though the subject colour may be saved too)
+            const rule = readRecurrenceRule(deadline);
+            if (!rule) return;
+            recordHistory(`Add "${assessment}" series`);
+            if (!createSeries(taskData, rule)) return;
+            assignSubjectColor(subject);
+        } else {
+            // Add new task (one undo step, even though the subject colour may be saved too)
+            recordHistory(`Add "${assessment}"`);
+            const newTask = {
+                ...taskData,
+                id: generateTaskId(),
+                completed: false
+            };
+            
+            assignSubjectColor(subject);
+            
+            const tasks = getEditableAssessments();
+            tasks.push(newTask);
+            updateCurrentProfileAssessments(tasks, `Add "${assessment}"`);
+        }
+
+        resetAssessmentForm();
+    });
+
+    // Handle Subject Color Assignment for a subject that doesn't have one yet
+    function assignSubjectColor(subject) {
+        const subjectMap = getSubjectColorMap();
+        const currentSelectedColor = document.querySelector('#subject-color-picker .color-option.selected')?.getAttribute('data-color');
+        
+        if (!subjectMap.hasOwnProperty(subject) && currentSelectedColor) {
+            setSubjectColor(subject, currentSelectedColor);
+        } else if (!subjectMap.hasOwnProperty(subject)) {
+             // New subject, but no color selected, use the first color as a default
+            setSubjectColor(subject, COLORS[0]);
+        }
+    }
+
+    function resetAssessmentForm() {
+        form.reset();
+        editingTaskId = null;
+        submitButton.textContent = 'Deploy Assessment';
+
+        // Clean up UI
+        renderTaskTermOptions(null);
+        scoreFields?.classList.add('hidden');
+        recurrenceFields?.classList.remove('hidden');
+        updateRecurrenceControls();
+        updateSubjectPreview('');
+        const existingPicker = document.getElementById('subject-color-picker');
+        if (existingPicker) existingPicker.remove();
+        filterAssessments(); 
+        renderCalendar();
+    }
+
+    // --- Task Management Functions ---
+    
+    function toggleCompletion(id) {
+        let tasks = getEditableAssessments();
+        const taskIndex = tasks.findIndex(task => task.id == id);
+        if (taskIndex > -1) {
+            const task = tasks[taskIndex];
+            task.completed = !task.completed;
+            const label = `${task.completed ? 'Complete' : 'Reopen'} "${task.assessment}"`;
+            updateCurrentProfileAssessments(tasks, label);
+            showUndoToast(task.completed ? `Marked "${task.assessment}" as complete.` : `Reopened "${task.assessment}".`);
+        }
+        filterAssessments();
+        renderCalendar();
+    }
+    
+    function startEditing(id) {
+        const tasks = getAssessments();
+        const task = tasks.find(t => t.id == id);
+        if (!task) return;
+
+        editingTaskId = id;
+        subjectInput.value = task.subject;
+        assessmentInput.value = task.assessment;
+        deadlineInput.value = task.deadline;
+        dueTimeInput.value = task.dueTime || '';
+        taskRemindersInput.value = Array.isArray(task.reminders)
+            ? (task.reminders.length ? task.reminders.join(', ') : 'none')
+            : '';
+        weightingInput.value = task.weighting || '';
+        estimatedHoursInput.value = task.estimatedHours ?? '';
+        renderTaskTermOptions(task.termId);
+        notesInput.value = task.notes || ''; 
+
+        // Only completed tasks can be given a mark
+        scoreFields?.classList.toggle('hidden', !task.completed);
+        scoreInput.value = task.score ?? '';
+        scoreOutOfInput.value = task.scoreOutOf ?? '';
+
+        // Recurrence is chosen when a series is created; edits go through the series scope dialog
+        recurrenceFields?.classList.add('hidden');
+        
+        updateSubjectPreview(task.subject);
+        renderColorPicker(task.subject);
+
+        submitButton.textContent = 'Save Changes';
+    }
+
+    // =================================================================
+    // SEARCH QUERY LANGUAGE & SAVED FILTERS
+    // =================================================================
+
+    // A query is a list of space-separated terms that must all match, e.g.
+    //   subject:physics due:<7d weight:>=20 is:overdue -is:completed "lab report"
+    // Bare words and "quoted phrases" match the subject, assessment name or notes. A leading '-'
+    // negates a term. parseSearchQuery returns { predicates } or { error } describing the problem.
+
+    const QUERY_IS_VALUES = {
+        overdue: task => isOverdue(task),
+        completed: task => task.completed,
+        active: task => !task.completed,
+        urgent: task => !task.completed && !isOverdue(task) && getDaysUntil(task) <= getReminderSettings().urgentDays,
+        recurring: task => Boolean(task.seriesId),
+        graded: task => getScorePercent(task) !== null,
+        ungraded: task => getScorePercent(task) === null,
+        archived: task => isTaskArchived(task, getTerms())
+    };
+
+    const QUERY_HAS_VALUES = {
+        notes: task => Boolean(task.notes && task.notes.trim()),
+        subtasks: task => (task.subtasks || []).length > 0,
+        time: task => (task.sessions || []).length > 0,
+        estimate: task => task.estimatedHours > 0
+    };
+
+    const QUERY_OPERATORS = {
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '=': (a, b) => a === b
+    };
+
+    // "<=20" -> { op: '<=', value: '20' }; no operator gives `defaultOp`
+    function splitComparison(text, defaultOp) {
+        const match = text.match(/^(<=|>=|<|>|=)?(.*)$/);
+        return { op: match[1] || defaultOp, value: match[2] };
+    }
+
+    function textIncludes(haystack, needle) {
+        return (haystack || '').toLowerCase().includes(needle.toLowerCase());
+    }
+
+    const QUERY_FIELDS = {
+        subject: value => ({ test: task => textIncludes(task.subject, value) }),
+        name: value => ({ test: task => textIncludes(task.assessment, value) }),
+        notes: value => ({ test: task => textIncludes(task.notes, value) }),
+        term: value => ({ test: task => textIncludes(findTaskTerm(task, getTerms())?.name, value) }),
+
+        // due:<7d (within a week), due:>=2w, due:today, due:2026-11-01, due:<2026-12-01
+        due: text => {
+            const { op, value } = splitComparison(text, null);
+            const relative = value.match(/^(\d+)([dw])$/i) || (value === 'today' && ['', '0', 'd']) || (value === 'tomorrow' && ['', '1', 'd']);
+            if (relative) {
+                const days = Number(relative[1]) * (relative[2].toLowerCase() === 'w' ? 7 : 1);
+                const compare = QUERY_OPERATORS[op || (/^\d/.test(value) ? '<=' : '=')];
+                return { test: task => compare(getDaysUntil(task), days) };
+            }
+            if (/^\d{4}-\d{2}-\d{2}$/.test(value) && formatDateKey(parseDateKey(value)) === value) {
+                const compare = QUERY_OPERATORS[op || '='];
+                return { test: task => compare(task.deadline, value) };
+            }
+            return { error: `"due:${text}" isn't a valid date. Use e.g. due:<7d, due:>=2w, due:today or due:2026-11-01.` };
+        },
+
+        weight: text => {
+            const { op, value } = splitComparison(text, '=');
+            const number = Number(value);
+            if (value === '' || isNaN(number)) return { error: `"weight:${text}" needs a number, e.g. weight:>=20.` };
+            return { test: task => QUERY_OPERATORS[op](task.weighting || 0, number) };
+        },
+
+        score: text => {
+            const { op, value } = splitComparison(text, '=');
+            const number = Number(value.replace(/%$/, ''));
+            if (value === '' || isNaN(number)) return { error: `"score:${text}" needs a percentage, e.g. score:<50.` };
+            return { test: task => getScorePercent(task) !== null && QUERY_OPERATORS[op](getScorePercent(task), number) };
+        },
+
+        is: value => QUERY_IS_VALUES[value.toLowerCase()]
+            ? { test: QUERY_IS_VALUES[value.toLowerCase()] }
+            : { error: `Unknown "is:${value}". Try ${Object.keys(QUERY_IS_VALUES).map(key => `is:${key}`).join(', ')}.` },
+
+        has: value => QUERY_HAS_VALUES[value.toLowerCase()]
+            ? { test: QUERY_HAS_VALUES[value.toLowerCase()] }
+            : { error: `Unknown "has:${value}". Try ${Object.keys(QUERY_HAS_VALUES).map(key => `has:${key}`).join(', ')}.` }
+    };
+    QUERY_FIELDS.assessment = QUERY_FIELDS.name;
+
+    function parseSearchQuery(query) {
+        if ((query.match(/"/g) || []).length % 2 !== 0) {
+            return { error: 'A quoted phrase is missing its closing quote (").' };
+        }
+
+        const predicates = [];
+        const tokenPattern = /(-?)(?:([a-z_]+):)?(?:"([^"]*)"|([^\s"]*))/iy;
+        let index = 0;
+        while (index < query.length) {
+            if (/\s/.test(query[index])) {
+                index++;
+                continue;
+            }
+            tokenPattern.lastIndex = index;
+            const match = tokenPattern.exec(query);
+            if (!match || match[0] === '') return { error: `Couldn't read the query at "${query.slice(index)}".` };
+            index = tokenPattern.lastIndex;
+
+            const [raw, negate, key, quoted, plain] = match;
+            const value = quoted ?? plain;
+            let predicate;
+            if (key) {
+                const field = QUERY_FIELDS[key.toLowerCase()];
+                if (!field) {
+                    return { error: `Unknown filter "${key}:". Available: ${Object.keys(QUERY_FIELDS).map(name => `${name}:`).join(' ')}` };
+                }
+                if (!value) return { error: `"${key}:" needs a value.` };
+                const result = field(value);
+                if (result.error) return { error: result.error };
+                predicate = result.test;
+            } else {
+                if (!value) {
+                    if (raw === '-') return { error: 'A "-" must be followed by the term to exclude.' };
+                    continue; // An empty "" phrase
+                }
+                predicate = task => textIncludes(task.subject, value) || textIncludes(task.assessment, value) || textIncludes(task.notes, value);
+            }
+            predicates.push(negate ? task => !predicate(task) : predicate);
+        }
+        return { predicates };
+    }
+
+    function getSavedFilters() {
+        const data = readTrackerData();
+        return data.profiles[data.activeProfile]?.savedFilters || [];
+    }
+
+    function renderSavedFilters() {
+        if (!savedFiltersBar) return;
+        savedFiltersBar.innerHTML = '';
+        const currentQuery = searchInput?.value.trim() || '';
+
+        getSavedFilters().forEach(filter => {
+            const chip = document.createElement('span');
+            chip.className = 'filter-chip';
+            chip.classList.toggle('active', filter.query === currentQuery);
+            chip.title = filter.query;
+
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'chip-apply';
+            applyBtn.textContent = filter.name;
+            applyBtn.addEventListener('click', () => {
+                // Clicking the active chip clears it again
+                searchInput.value = filter.query === currentQuery ? '' : filter.query;
+                filterAssessments();
+            });
+            chip.appendChild(applyBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'chip-remove';
+            removeBtn.innerHTML = '&times;';
+            removeBtn.title = `Remove the "${filter.name}" filter`;
+            removeBtn.addEventListener('click', () => deleteSavedFilter(filter));
+            chip.appendChild(removeBtn);
+
+            savedFiltersBar.appendChild(chip);
+        });
+    }
+
+    function saveCurrentFilter() {
+        const query = searchInput?.value.trim();
+        if (!query) return;
+        if (parseSearchQuery(query).error) {
+            alert('Fix the search query before saving it.');
+            return;
+        }
+
+        const name = prompt('Name this filter:', query.length > 24 ? `${query.slice(0, 24)}…` : query);
+        if (!name || !name.trim()) return;
+
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        const existing = profile.savedFilters.find(filter => filter.name === name.trim());
+        if (existing) {
+            if (!confirm(`Replace the saved filter "${existing.name}"?`)) return;
+            existing.query = query;
+        } else {
+            profile.savedFilters.push({ id: `filter-${generateTaskId()}`, name: name.trim(), query });
+        }
+        setTrackerData(data, `Save filter "${name.trim()}"`);
+        renderSavedFilters();
+    }
+
+    function deleteSavedFilter(filter) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        profile.savedFilters = profile.savedFilters.filter(saved => saved.id !== filter.id);
+        setTrackerData(data, `Remove filter "${filter.name}"`);
+        renderSavedFilters();
+        showUndoToast(`Removed the "${filter.name}" filter.`);
+    }
+
+
+    // =================================================================
+    // FILTER, SORT, AND UI CONTROL FUNCTIONS
+    // =================================================================
+    
+    function sortAssessments(tasks) {
+        const compare = (a, b) => {
+            let valA = a[currentSortColumn];
+            let valB = b[currentSortColumn];
+
+            if (currentSortColumn === 'deadline') {
+                valA = getDeadlineDate(a);
+                valB = getDeadlineDate(b);
+            } else if (currentSortColumn === 'weighting') {
+                valA = valA || 0;
+                valB = valB || 0;
+            } else if (currentSortColumn === 'score') {
+                valA = getScorePercent(a);
+                valB = getScorePercent(b);
+                // Ungraded tasks always sink to the bottom, whichever the direction
+                if (valA === null || valB === null) {
+                    return (valA === null) - (valB === null);
+                }
+            }
+
+            if (valA < valB) return -1 * sortDirection;
+            if (valA > valB) return 1 * sortDirection;
+            return 0;
+        };
+        tasks.sort(compare);
+        return tasks;
+    }
+    
+    function filterAssessments() {
+        const searchTerm = searchInput?.value.trim() || '';
+        // Archived terms stay out of the list, except when searching
+        let tasks = getVisibleAssessments({ includeArchived: Boolean(searchTerm) });
+        const selectedSubject = subjectFilter?.value;
+        const selectedScore = scoreFilter?.value || 'all';
+
+        // 1. Tab Filtering
+        if (currentTab === 'active') {
+            tasks = tasks.filter(task => !task.completed);
+        } else if (currentTab === 'completed') {
+            tasks = tasks.filter(task => task.completed);
+        } // 'all' tab uses the full list
+
+        // 2. Search Filtering (query language; an unparseable query is reported and ignored)
+        const query = parseSearchQuery(searchTerm);
+        if (query.error) {
+            searchError.textContent = query.error;
+        } else {
+            tasks = tasks.filter(task => query.predicates.every(predicate => predicate(task)));
+        }
+        searchError?.classList.toggle('hidden', !query.error);
+        searchInput?.classList.toggle('invalid', Boolean(query.error));
+        if (saveFilterButton) saveFilterButton.disabled = !searchTerm || Boolean(query.error);
+        renderSavedFilters();
+
+        // 3. Subject Filtering
+        if (selectedSubject && selectedSubject !== 'All Subjects') {
+            tasks = tasks.filter(task => task.subject === selectedSubject);
+        }
+
+        // 4. Score Filtering
+        if (selectedScore !== 'all') {
+            tasks = tasks.filter(task => {
+                const percent = getScorePercent(task);
+                if (selectedScore === 'ungraded') return percent === null;
+                if (percent === null) return false;
+                if (selectedScore === 'pass') return percent >= 50;
+                if (selectedScore === 'fail') return percent < 50;
+                return true; // 'graded'
+            });
+        }
+
+        // 5. Sorting
+        tasks = sortAssessments(tasks);
+
+        renderAllAssessments(tasks);
+        updateSubjectFilter(getVisibleAssessments()); // Every subject in the current term(s), whatever the tab
+        updateSubjectAutocomplete();
+        renderGradeSummary();
+        renderStudyPlan();
+        checkForUrgentTasks();
+        syncUrlState();
+    }
+
+    function updateSubjectFilter(tasks) {
+        if (!subjectFilter) return;
+        
+        const uniqueSubjects = [...new Set(tasks.map(task => task.subject))].sort();
+        const currentValue = subjectFilter.value;
+        
+        subjectFilter.innerHTML = '<option>All Subjects</option>';
+        uniqueSubjects.forEach(subject => {
+            const option = document.createElement('option');
+            option.textContent = subject;
+            option.value = subject;
+            subjectFilter.appendChild(option);
+        });
+        
+        // Retain selected filter if possible
+        if (currentValue && (currentValue === 'All Subjects' || uniqueSubjects.includes(currentValue))) {
+             subjectFilter.value = currentValue;
+        } else {
+             subjectFilter.value = 'All Subjects';
+        }
+
+        // The calculator works on a single subject, so it needs one picked in the filter
+        if (gradeCalculatorBtn) {
+            gradeCalculatorBtn.disabled = subjectFilter.value === 'All Subjects';
+        }
+    }
+
+    // =================================================================
+    // PROFILE MANAGEMENT FUNCTIONS (CRITICAL)
+    // =================================================================
+    
+    function loadProfiles() {
+        if (!profileSelect) {
+            console.error("Profile select element is missing. Profile system non-functional.");
+            return;
+        }
+        
+        const data = getTrackerData();
+        const profileNames = Object.keys(data.profiles);
+        
+        console.log("Loading profiles:", profileNames, "Active:", data.activeProfile);
+        
+        profileSelect.innerHTML = ''; // Clear existing options
+        
+        profileNames.forEach(profileName => {
+            const option = document.createElement('option');
+            option.textContent = profileName;
+            option.value = profileName;
+            if (profileName === data.activeProfile) {
+                option.selected = true;
+                console.log(`Setting active profile in dropdown: ${profileName}`);
+            }
+            profileSelect.appendChild(option);
+        });
+        
+        renderTermSelect();
+        renderTaskTermOptions(null);
+
+        // Ensure the menu is closed after loading
+        profileMenu?.classList.add('hidden'); 
+    }
+    
+    function switchProfile(newProfileName) {
+        const data = getTrackerData();
+        
+        if (!data.profiles.hasOwnProperty(newProfileName)) {
+            console.error(`Attempted to switch to non-existent profile: ${newProfileName}`);
+            return;
+        }
+        
+        data.activeProfile = newProfileName;
+        console.log(`Switching profile to: ${newProfileName}`);
+        
+        setTrackerData(data); // CRITICAL: Save the change immediately
+        
+        loadProfiles();
+        filterAssessments();
+        renderCalendar();
+    }
+    
+    // Moves (or copies) tasks from one profile to another inside `data`, bringing along what
+    // they refer to: subject colours and icons the target doesn't have yet and their recurrence
+    // series. Copies get new ids, and copies from a series join a new copy of that series so
+    // editing one profile's occurrences never touches the other's; moved tasks keep their ids
+    // unless the target already uses them.
+    // Terms belong to a profile, so a pinned term is dropped and the target's term dates
+    // decide instead. Returns the number of tasks transferred; the caller saves `data`.
+    function transferTasks(data, taskIds, fromName, toName, { copy = false } = {}) {
+        const from = data.profiles[fromName];
+        const to = data.profiles[toName];
+        if (!from || !to || fromName === toName) return 0;
+
+        const ids = new Set(taskIds);
+        const takenIds = new Set(to.tasks.map(task => task.id));
+        const copiedSeriesIds = {};
+        const timer = getActiveTimer();
+        const tasks = from.tasks.filter(task => ids.has(task.id));
+        tasks.forEach(task => {
+            const transferred = copy ? JSON.parse(JSON.stringify(task)) : task;
+            if (copy || takenIds.has(task.id)) transferred.id = generateTaskId();
+            delete transferred.termId;
+            to.tasks.push(transferred);
+
+            // A running timer follows its task
+            if (!copy && timer && timer.profileName === fromName && timer.taskId === task.id) {
+                setActiveTimer({ ...timer, profileName: toName, taskId: transferred.id });
+            }
+
+            if (!to.subjectColors.hasOwnProperty(task.subject)) {
+                to.subjectColors[task.subject] = from.subjectColors[task.subject] || pickSubjectColor(to.subjectColors);
+            }
+            if (from.subjectIcons[task.subject] && !to.subjectIcons.hasOwnProperty(task.subject)) {
+                to.subjectIcons[task.subject] = from.subjectIcons[task.subject];
+            }
+            if (copy && task.seriesId) {
+                if (from.series[task.seriesId] && !copiedSeriesIds[task.seriesId]) {
+                    copiedSeriesIds[task.seriesId] = generateTaskId();
+                    to.series[copiedSeriesIds[task.seriesId]] = JSON.parse(JSON.stringify(from.series[task.seriesId]));
+                }
+                transferred.seriesId = copiedSeriesIds[task.seriesId] || null;
+            } else if (task.seriesId && from.series[task.seriesId] && !to.series[task.seriesId]) {
+                to.series[task.seriesId] = { ...from.series[task.seriesId] };
+            }
+        });
+
+        if (!copy) from.tasks = from.tasks.filter(task => !tasks.includes(task));
+        return tasks.length;
+    }
+
+    // Transfers every assessment of a subject, plus the subject's colour and icon even when it
+    // has no assessments. Moving it takes the subject out of the source profile altogether.
+    function transferSubject(data, subject, fromName, toName, { copy = false } = {}) {
+        const from = data.profiles[fromName];
+        const to = data.profiles[toName];
+        if (!from || !to || fromName === toName) return 0;
+
+        const taskIds = from.tasks.filter(task => task.subject === subject).map(task => task.id);
+        const count = transferTasks(data, taskIds, fromName, toName, { copy });
+        [['subjectColors', from.subjectColors], ['subjectIcons', from.subjectIcons]].forEach(([key, map]) => {
+            if (map.hasOwnProperty(subject) && !to[key].hasOwnProperty(subject)) to[key][subject] = map[subject];
+            if (!copy) delete map[subject];
+        });
+        return count;
+    }
+
+    // Asks for a target profile, then moves or copies. `transfer(data, targetName, copy)` does the
+    // work on freshly loaded data, which is saved afterwards as one undoable change.
+    function openTransferDialog(description, transfer) {
+        const data = getTrackerData();
+        const otherProfiles = Object.keys(data.profiles).filter(name => name !== data.activeProfile);
+        if (otherProfiles.length === 0) {
+            alert('There is no other profile yet. Create one from the profile menu first.');
+            return;
+        }
+
+        const body = openModal('Move or Copy to Profile');
+        const intro = document.createElement('p');
+        intro.textContent = `Send ${description} from "${data.activeProfile}" to another profile. Subject colours and icons come along.`;
+        body.appendChild(intro);
+
+        const label = document.createElement('label');
+        label.textContent = 'To profile ';
+        const select = document.createElement('select');
+        otherProfiles.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        label.appendChild(select);
+        body.appendChild(label);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        [['Move', false], ['Copy', true]].forEach(([verb, copy]) => {
+            const button = document.createElement('button');
+            button.textContent = verb;
+            button.addEventListener('click', () => {
+                const target = select.value;
+                const latest = getTrackerData();
+                transfer(latest, target, copy);
+                setTrackerData(latest, `${verb} ${description} to "${target}"`);
+                closeModal();
+                filterAssessments();
+                renderCalendar();
+                showUndoToast(`${copy ? 'Copied' : 'Moved'} ${description} to "${target}".`);
+            });
+            actions.appendChild(button);
+        });
+        body.appendChild(actions);
+    }
+
+    // A copy of a profile for reuse, e.g. next year's course: every date moves on by `years`,
+    // and with `clearProgress` completion, marks, time logs and ticked steps are reset. Tasks and
+    // series get new ids so the copy never shares an id with the original.
+    function createProfileTemplate(profile, { years = 0, clearProgress = true } = {}) {
+        const template = JSON.parse(JSON.stringify(profile));
+        const shift = dateKey => (dateKey && years ? addYearsToDateKey(dateKey, years) : dateKey);
+        // Session start/end are timestamps; setFullYear keeps the time of day (and 29 Feb rolls over like the date keys)
+        const shiftTime = time => {
+            const date = new Date(time);
+            date.setFullYear(date.getFullYear() + years);
+            return date.getTime();
+        };
+
+        const seriesIds = {};
+        template.series = Object.fromEntries(Object.entries(template.series).map(([seriesId, rule]) => {
+            seriesIds[seriesId] = generateTaskId();
+            return [seriesIds[seriesId], rule];
+        }));
+
+        template.tasks.forEach(task => {
+            task.id = generateTaskId();
+            if (task.seriesId) task.seriesId = seriesIds[task.seriesId] || null;
+            task.deadline = shift(task.deadline);
+            (task.subtasks || []).forEach(subtask => { subtask.dueDate = shift(subtask.dueDate); });
+            if (!clearProgress) {
+                task.workLog = (task.workLog || []).map(entry => ({ ...entry, date: shift(entry.date) }));
+                task.sessions = (task.sessions || []).map(session => ({ ...session, start: shiftTime(session.start), end: shiftTime(session.end) }));
+                return;
+            }
+            task.completed = false;
+            delete task.score;
+            delete task.scoreOutOf;
+            task.workLog = [];
+            task.sessions = [];
+            (task.subtasks || []).forEach(subtask => { subtask.done = false; });
+        });
+        Object.values(template.series).forEach(rule => {
+            rule.until = shift(rule.until);
+            rule.skip = (rule.skip || []).map(shift);
+        });
+        template.terms.forEach(term => {
+            term.start = shift(term.start);
+            term.end = shift(term.end);
+            if (clearProgress) term.archived = false;
+        });
+        template.studySettings.offDates = template.studySettings.offDates.map(shift);
+        return template;
+    }
+
+    function openDuplicateProfileDialog() {
+        profileMenu?.classList.add('hidden');
+        const sourceName = getTrackerData().activeProfile;
+        const body = openModal('Duplicate Profile');
+
+        const intro = document.createElement('p');
+        intro.textContent = `Copies "${sourceName}" with its assessments, subjects, terms and settings into a new profile.`;
+        body.appendChild(intro);
+
+        const nameLabel = document.createElement('label');
+        nameLabel.textContent = 'New profile name ';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = `${sourceName} (copy)`;
+        nameLabel.appendChild(nameInput);
+        body.appendChild(nameLabel);
+
+        const yearsLabel = document.createElement('label');
+        yearsLabel.textContent = 'Move every date forward by (years) ';
+        const yearsInput = document.createElement('input');
+        yearsInput.type = 'number';
+        yearsInput.min = '0';
+        yearsInput.value = '1';
+        yearsLabel.appendChild(yearsInput);
+        body.appendChild(yearsLabel);
+
+        const clearLabel = document.createElement('label');
+        const clearInput = document.createElement('input');
+        clearInput.type = 'checkbox';
+        clearInput.checked = true;
+        clearLabel.appendChild(clearInput);
+        clearLabel.appendChild(document.createTextNode(' Start fresh: clear completion, marks, time logs and ticked steps'));
+        body.appendChild(clearLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const createBtn = document.createElement('button');
+        createBtn.textContent = 'Duplicate';
+        createBtn.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            const years = Number(yearsInput.value);
+            const data = getTrackerData();
+            if (!name) {
+                alert('Please enter a name for the new profile.');
+                return;
+            }
+            if (data.profiles.hasOwnProperty(name)) {
+                alert('A profile with this name already exists.');
+                return;
+            }
+            if (!Number.isInteger(years) || years < 0) {
+                alert('The number of years must be a whole number, 0 or more.');
+                return;
+            }
+
+            data.profiles[name] = createProfileTemplate(data.profiles[sourceName], { years, clearProgress: clearInput.checked });
+            setTrackerData(data, `Duplicate profile "${sourceName}"`);
+            closeModal();
+            switchProfile(name);
+            showUndoToast(`Created "${name}" from "${sourceName}".`);
+        });
+        actions.appendChild(createBtn);
+        body.appendChild(actions);
+    }
+    
+    function createNewProfile() {
+        const name = prompt("Enter a name for the new profile:");
+        if (name && name.trim()) {
+            const trimmedName = name.trim();
+            const data = getTrackerData();
+            if (data.profiles.hasOwnProperty(trimmedName)) {
+                alert("A profile with this name already exists.");
+                return;
+            }
+            
+            // Create the new profile structure
+            data.profiles[trimmedName] = createEmptyProfile();
+            setTrackerData(data, `Create profile "${trimmedName}"`); // Save the creation
+            
+            // Switch to the newly created profile, which calls loadProfiles()
+            switchProfile(trimmedName); 
+        }
+    }
+    
+    function renameCurrentProfile() {
+        const data = getTrackerData();
+        const oldName = data.activeProfile;
+        const newName = prompt(`Rename profile "${oldName}" to:`);
+
+        if (newName && newName.trim() && newName.trim() !== oldName) {
+            const trimmedNewName = newName.trim();
+            if (data.profiles.hasOwnProperty(trimmedNewName)) {
+                alert("A profile with this name already exists.");
+                return;
+            }
+
+            const profileData = data.profiles[oldName];
+            delete data.profiles[oldName];
+            data.profiles[trimmedNewName] = profileData;
+            data.activeProfile = trimmedNewName;
+            
+            setTrackerData(data, `Rename profile "${oldName}"`);
+            // A running timer and the reminder log find tasks by profile name, so they follow the rename
+            const timer = getActiveTimer();
+            if (timer && timer.profileName === oldName) setActiveTimer({ ...timer, profileName: trimmedNewName });
+            renameReminderLogProfile(oldName, trimmedNewName);
+            loadProfiles();
+        }
+    }
+
+    function deleteCurrentProfile() {
+        const data = getTrackerData();
+        const activeProfile = data.activeProfile;
+        const profileKeys = Object.keys(data.profiles);
+
+        if (profileKeys.length <= 1) {
+            alert("You must have at least one profile.");
+            return;
+        }
+
+        if (confirm(`Are you sure you want to delete the profile "${activeProfile}" and all its data? You can undo this with Ctrl+Z, even after reloading.`)) {
+            delete data.profiles[activeProfile];
+            
+            // Switch to the next available profile
+            const nextProfile = profileKeys.find(key => key !== activeProfile) || Object.keys(data.profiles)[0];
+            data.activeProfile = nextProfile;
+            
+            setTrackerData(data, `Delete profile "${activeProfile}"`);
+            loadProfiles();
+            filterAssessments();
+            renderCalendar();
+            showUndoToast(`Deleted profile "${activeProfile}".`);
+        }
+    }
+
+
+    // =================================================================
+    // TERMS & ARCHIVING
+    // =================================================================
+
+    // A term is a named date range within a profile. A task belongs to the term it's pinned to
+    // (task.termId), otherwise to whichever term its deadline falls in. Archived terms are kept
+    // (backups, stats, search) but left out of the lists, filters, calendar and reminders.
+
+    function getTerms() {
+        const data = readTrackerData();
+        return data.profiles[data.activeProfile]?.terms || [];
+    }
+
+    function getSelectedTermId() {
+        const data = readTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        const selected = profile?.selectedTermId || 'all';
+        return selected === 'all' || (profile.terms || []).some(term => term.id === selected) ? selected : 'all';
+    }
+
+    function findTaskTerm(task, terms) {
+        if (task.termId) {
+            const pinned = terms.find(term => term.id === task.termId);
+            if (pinned) return pinned;
+        }
+        return terms.find(term => term.start <= task.deadline && task.deadline <= term.end) || null;
+    }
+
+    function isTaskArchived(task, terms) {
+        return Boolean(findTaskTerm(task, terms)?.archived);
+    }
+
+    function isTaskInTerm(task, terms, termId) {
+        return termId === 'all' || findTaskTerm(task, terms)?.id === termId;
+    }
+
+    // Tasks of the term chosen in the switcher. With "All terms", archived ones are left out unless
+    // asked for; picking an archived term explicitly shows it.
+    function getVisibleAssessments({ includeArchived = false } = {}) {
+        const terms = getTerms();
+        const selectedTermId = getSelectedTermId();
+        return getAssessments().filter(task => isTaskInTerm(task, terms, selectedTermId) &&
+            (includeArchived || selectedTermId !== 'all' || !isTaskArchived(task, terms)));
+    }
+
+    function renderTermSelect() {
+        if (!termSelect) return;
+        const terms = getTerms();
+        const selectedTermId = getSelectedTermId();
+
+        termSelect.innerHTML = '<option value="all">All Terms</option>';
+        const addGroup = (label, groupTerms) => {
+            if (groupTerms.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            groupTerms.forEach(term => {
+                const option = document.createElement('option');
+                option.value = term.id;
+                option.textContent = term.name;
+                group.appendChild(option);
+            });
+            termSelect.appendChild(group);
+        };
+        const byStart = [...terms].sort((a, b) => a.start.localeCompare(b.start));
+        addGroup('Terms', byStart.filter(term => !term.archived));
+        addGroup('Archived', byStart.filter(term => term.archived));
+        termSelect.value = selectedTermId;
+        termSelect.classList.toggle('hidden', terms.length === 0);
+    }
+
+    // The form's term picker: "by deadline" or pinned to a specific (non-archived) term
+    function renderTaskTermOptions(selectedId) {
+        if (!taskTermInput) return;
+        const terms = getTerms();
+        taskTermInput.innerHTML = '<option value="">Term: by deadline</option>';
+        terms.filter(term => !term.archived || term.id === selectedId).forEach(term => {
+            const option = document.createElement('option');
+            option.value = term.id;
+            option.textContent = `Term: ${term.name}`;
+            taskTermInput.appendChild(option);
+        });
+        taskTermInput.value = selectedId || '';
+        taskTermInput.classList.toggle('hidden', terms.length === 0);
+    }
+
+    function selectTerm(termId) {
+        const data = getTrackerData();
+        data.profiles[data.activeProfile].selectedTermId = termId;
+        setTrackerData(data); // A view preference, so not undoable
+        if (subjectFilter) subjectFilter.value = 'All Subjects';
+        filterAssessments();
+        renderCalendar();
+    }
+
+    function updateTerms(label, mutate) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        profile.terms = mutate(profile.terms || []);
+        setTrackerData(data, label);
+        renderTermSelect();
+        renderTaskTermOptions(taskTermInput?.value || null);
+        filterAssessments();
+        renderCalendar();
+    }
+
+    function openTermManager() {
+        profileMenu?.classList.add('hidden');
+        const terms = [...getTerms()].sort((a, b) => a.start.localeCompare(b.start));
+        const tasks = getAssessments();
+        const body = openModal('Manage Terms');
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Assessments belong to the term their deadline falls in, unless you pick a term for them in the form. Archived terms are hidden from the lists, calendar and reminders but stay in searches, grade stats and backups.';
+        body.appendChild(intro);
+
+        if (terms.length > 0) {
+            const table = document.createElement('table');
+            table.className = 'preview-table';
+            table.innerHTML = '<thead><tr><th>Name</th><th>From</th><th>To</th><th>Assessments</th><th></th></tr></thead>';
+            const tbody = document.createElement('tbody');
+            terms.forEach(term => {
+                const row = tbody.insertRow();
+                if (term.archived) row.className = 'muted-row';
+                row.insertCell().textContent = term.name + (term.archived ? ' (archived)' : '');
+                row.insertCell().textContent = term.start;
+                row.insertCell().textContent = term.end;
+                row.insertCell().textContent = tasks.filter(task => findTaskTerm(task, terms)?.id === term.id).length;
+
+                const actionsCell = row.insertCell();
+                const archiveBtn = document.createElement('button');
+                archiveBtn.textContent = term.archived ? 'Unarchive' : 'Archive';
+                archiveBtn.addEventListener('click', () => {
+                    updateTerms(`${term.archived ? 'Unarchive' : 'Archive'} term "${term.name}"`, list =>
+                        list.map(t => (t.id === term.id ? { ...t, archived: !t.archived } : t)));
+                    openTermManager();
+                });
+                actionsCell.appendChild(archiveBtn);
+
+                const renameBtn = document.createElement('button');
+                renameBtn.textContent = 'Rename';
+                renameBtn.addEventListener('click', () => {
+                    const name = prompt(`Rename term "${term.name}" to:`, term.name);
+                    if (!name || !name.trim() || name.trim() === term.name) return;
+                    updateTerms(`Rename term "${term.name}"`, list =>
+                        list.map(t => (t.id === term.id ? { ...t, name: name.trim() } : t)));
+                    openTermManager();
+                });
+                actionsCell.appendChild(renameBtn);
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.className = 'delete-btn';
+                deleteBtn.addEventListener('click', () => {
+                    if (!confirm(`Delete the term "${term.name}"? Its assessments are kept.`)) return;
+                    deleteTerm(term);
+                    openTermManager();
+                });
+                actionsCell.appendChild(deleteBtn);
+            });
+            table.appendChild(tbody);
+            body.appendChild(table);
+        }
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Add a Term';
+        body.appendChild(heading);
+
+        const addField = (labelText, type) => {
+            const label = document.createElement('label');
+            label.className = 'modal-field';
+            label.textContent = labelText;
+            const input = document.createElement('input');
+            input.type = type;
+            label.appendChild(input);
+            body.appendChild(label);
+            return input;
+        };
+        const nameInput = addField('Name ', 'text');
+        nameInput.placeholder = 'e.g. Semester 1 2026';
+        const startInput = addField('From ', 'date');
+        const endInput = addField('To ', 'date');
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const addBtn = document.createElement('button');
+        addBtn.textContent = 'Add Term';
+        addBtn.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name || !startInput.value || !endInput.value) {
+                alert('Please give the term a name, a start date and an end date.');
+                return;
+            }
+            if (endInput.value < startInput.value) {
+                alert('The term must end on or after the day it starts.');
+                return;
+            }
+            const overlapping = terms.find(term => term.start <= endInput.value && startInput.value <= term.end);
+            if (overlapping && !confirm(`This overlaps "${overlapping.name}". Assessments in the overlap stay in the earlier-created term unless you pick a term for them. Add it anyway?`)) {
+                return;
+            }
+            updateTerms(`Add term "${name}"`, list => [...list, {
+                id: `term-${generateTaskId()}`,
+                name,
+                start: startInput.value,
+                end: endInput.value,
+                archived: false
+            }]);
+            openTermManager();
+        });
+        actions.appendChild(addBtn);
+        body.appendChild(actions);
+    }
+
+    // Tasks pinned to a deleted term go back to "by deadline"
+    function deleteTerm(term) {
+        const data = getTrackerData();
+        const profile = data.profiles[data.activeProfile];
+        profile.terms = profile.terms.filter(t => t.id !== term.id);
+        profile.tasks.forEach(task => {
+            if (task.termId === term.id) task.termId = null;
+        });
+        if (profile.selectedTermId === term.id) profile.selectedTermId = 'all';
+        setTrackerData(data, `Delete term "${term.name}"`);
+        renderTermSelect();
+        renderTaskTermOptions(null);
+        filterAssessments();
+        renderCalendar();
+    }
+
+
+    // =================================================================
+    // MODAL DIALOG
+    // =================================================================
+
+    // Opens the shared dialog with a title and returns its (emptied) body for the caller to fill.
+    function openModal(title) {
+        modalTitle.textContent = title;
+        modalBody.innerHTML = '';
+        modalOverlay.classList.remove('hidden');
+        return modalBody;
+    }
+
+    function closeModal() {
+        modalOverlay.classList.add('hidden');
+        modalBody.innerHTML = '';
+    }
+
+    function isModalOpen() {
+        return !modalOverlay.classList.contains('hidden');
+    }
+
+    // =================================================================
+    // WORKLOAD & CLASH DETECTION
+    // =================================================================
+
+    // A task's load is its weighting; the load of a day or week is the total weighting of the
+    // uncompleted tasks due in it. Weeks run Sunday to Saturday, like the calendar grid.
+
+    function getWorkloadThreshold() {
+        const data = readTrackerData();
+        return data.profiles[data.activeProfile]?.workloadThreshold ?? DEFAULT_WORKLOAD_THRESHOLD;
+    }
+
+    function getWeekStartKey(dateKey) {
+        return addDaysToDateKey(dateKey, -parseDateKey(dateKey).getDay());
+    }
+
+    function computeWorkload(tasks) {
+        const days = {};
+        const weeks = {};
+        tasks.forEach(task => {
+            if (task.completed || !task.weighting) return;
+            const weekKey = getWeekStartKey(task.deadline);
+            days[task.deadline] = (days[task.deadline] || 0) + task.weighting;
+            weeks[weekKey] = (weeks[weekKey] || 0) + task.weighting;
+        });
+        return { days, weeks };
+    }
 
-            if (daysUntil < 0) {
-                overdueCount++;
-            } else if (daysUntil <= 3) { // 3 days is the threshold for 'urgent'
-                urgentCount++;
+    // Heat colour for a load: transparent at 0, strongest red at (or over) the weekly threshold
+    function getWorkloadColor(load, threshold) {
+        const intensity = Math.min(load / Math.max(threshold, 1), 1);
+        return `rgba(220, 53, 69, ${(0.08 + intensity * 0.4).toFixed(2)})`;
+    }
+
+    // Checks whether saving `taskData` (a new task, or the edit of `editingId`) adds load to a week
+    // that then goes over the threshold. Returns { weekKey, total, threshold, tasks } or null.
+    function findWorkloadClash(taskData, editingId) {
+        const threshold = getWorkloadThreshold();
+        const tasks = getAssessments();
+        const original = tasks.find(task => task.id === editingId);
+        const updated = { ...original, ...taskData, id: editingId ?? 'new', completed: original?.completed ?? false };
+        const projected = original
+            ? tasks.map(task => (task.id === editingId ? updated : task))
+            : [...tasks, updated];
+
+        const weekKey = getWeekStartKey(updated.deadline);
+        const before = computeWorkload(tasks).weeks[weekKey] || 0;
+        const after = computeWorkload(projected).weeks[weekKey] || 0;
+        if (after <= threshold || after <= before) return null;
+
+        const clashing = projected
+            .filter(task => !task.completed && task.weighting && getWeekStartKey(task.deadline) === weekKey)
+            .sort((a, b) => getDeadlineDate(a) - getDeadlineDate(b));
+        return { weekKey, total: after, threshold, tasks: clashing };
+    }
+
+    // Asks before saving a change that overloads a week; returns true to go ahead
+    function confirmWorkloadClash(taskData, editingId) {
+        const clash = findWorkloadClash(taskData, editingId);
+        if (!clash) return true;
+
+        const weekLabel = parseDateKey(clash.weekKey).toLocaleDateString('default', { month: 'short', day: 'numeric', year: 'numeric' });
+        const lines = clash.tasks.map(task => `• ${task.subject}: ${task.assessment} (${task.weighting}%) – due ${formatDeadline(task)}`);
+        return confirm(`Workload clash: the week of ${weekLabel} would have ${formatPercent(clash.total)} of assessment weighting due (your limit is ${formatPercent(clash.threshold)}).\n\n${lines.join('\n')}\n\nSave anyway?`);
+    }
+
+    function changeWorkloadThreshold() {
+        profileMenu?.classList.add('hidden');
+        const input = prompt("Warn me when a week's uncompleted assessments add up to more than this much weighting (%):", getWorkloadThreshold());
+        if (input === null) return;
+
+        const threshold = parseFloat(input);
+        if (isNaN(threshold) || threshold <= 0) {
+            alert('Please enter a weighting greater than 0.');
+            return;
+        }
+        const data = getTrackerData();
+        data.profiles[data.activeProfile].workloadThreshold = threshold;
+        setTrackerData(data, 'Change workload limit');
+        renderCalendar();
+    }
+
+
+    // =================================================================
+    // STUDY PLANNER
+    // =================================================================
+
+    // The plan is never stored: it's recomputed from the tasks every time something renders, so
+    // moved deadlines, new tasks and logged (or missing) work are always reflected.
+
+    let lastShortfallKeys = null; // Tasks that didn't fit last time, to warn only about new ones
+
+    function getStudySettings() {
+        const data = readTrackerData();
+        return { ...DEFAULT_STUDY_SETTINGS, ...data.profiles[data.activeProfile]?.studySettings };
+    }
+
+    // Hours logged by hand plus timed sessions (counted on the day they started)
+    function getLoggedHours(task, dateKey) {
+        const manual = (task.workLog || [])
+            .filter(entry => !dateKey || entry.date === dateKey)
+            .reduce((sum, entry) => sum + entry.hours, 0);
+        const timed = (task.sessions || [])
+            .filter(session => !dateKey || formatDateKey(new Date(session.start)) === dateKey)
+            .reduce((sum, session) => sum + (session.end - session.start), 0);
+        return manual + timed / 3600000;
+    }
+
+    function isStudyDayOff(dateKey, settings) {
+        return settings.daysOff.includes(parseDateKey(dateKey).getDay()) || settings.offDates.includes(dateKey);
+    }
+
+    function formatHours(hours) {
+        return `${Math.round(hours * 10) / 10}h`;
+    }
+
+    // Earliest deadline first: each task's remaining hours go on the days from today up to the day
+    // before it's due (or today, if it's due today). The first pass spreads them evenly, at least
+    // MIN_STUDY_BLOCK a day; a second pass packs what's left into any capacity still free.
+    // Returns { blocks: { dateKey: [{ taskId, hours }] }, shortfalls: [{ task, hours }] }.
+    function planStudy(tasks, settings) {
+        const todayKey = getTodayKey();
+        const blocks = {};
+        const free = {};
+        const shortfalls = [];
+        const loggedToday = tasks.reduce((sum, task) => sum + getLoggedHours(task, todayKey), 0);
+
+        const getFree = (dateKey) => {
+            if (!(dateKey in free)) {
+                const capacity = isStudyDayOff(dateKey, settings) ? 0 : settings.dailyHours;
+                free[dateKey] = Math.max(capacity - (dateKey === todayKey ? loggedToday : 0), 0);
+            }
+            return free[dateKey];
+        };
+
+        tasks
+            .filter(task => !task.completed && task.estimatedHours > 0)
+            .sort((a, b) => getDeadlineDate(a) - getDeadlineDate(b))
+            .forEach(task => {
+                let remaining = task.estimatedHours - getLoggedHours(task);
+                if (remaining <= 0.01) return;
+
+                const lastDay = task.deadline > todayKey ? addDaysToDateKey(task.deadline, -1) : task.deadline;
+                const days = [];
+                for (let key = todayKey; key <= lastDay; key = addDaysToDateKey(key, 1)) days.push(key);
+
+                const perDay = Math.max(MIN_STUDY_BLOCK, Math.ceil(remaining / Math.max(days.length, 1) * 4) / 4);
+                for (let pass = 0; pass < 2 && remaining > 0.01; pass++) {
+                    for (const key of days) {
+                        if (remaining <= 0.01) break;
+                        const hours = Math.min(pass === 0 ? perDay : remaining, remaining, getFree(key));
+                        if (hours <= 0.01) continue;
+
+                        free[key] -= hours;
+                        remaining -= hours;
+                        if (!blocks[key]) blocks[key] = [];
+                        const block = blocks[key].find(item => item.taskId === task.id);
+                        if (block) block.hours += hours;
+                        else blocks[key].push({ taskId: task.id, hours });
+                    }
+                }
+
+                if (remaining > 0.01) shortfalls.push({ task, hours: remaining });
+            });
+
+        return { blocks, shortfalls };
+    }
+
+    // Plans across every term that isn't archived, whichever one the switcher shows
+    function getStudyPlan() {
+        const terms = getTerms();
+        return planStudy(getAssessments().filter(task => !isTaskArchived(task, terms)), getStudySettings());
+    }
+
+    function describeShortfall({ task, hours }) {
+        return task.deadline < getTodayKey()
+            ? `"${task.assessment}" is past its deadline with ${formatHours(hours)} of work left.`
+            : `"${task.assessment}" no longer fits before ${formatDeadline(task)}: ${formatHours(hours)} short.`;
+    }
+
+    // The "Today" list: today's study blocks, what's been logged, and anything that can't fit
+    function renderStudyPlan() {
+        if (!studyPlanSection) return;
+        studyPlanSection.innerHTML = '';
+
+        const tasks = getAssessments();
+        const terms = getTerms();
+        if (!tasks.some(task => !task.completed && task.estimatedHours > 0 && !isTaskArchived(task, terms))) {
+            lastShortfallKeys = null;
+            return; // Nothing is being planned; the section stays empty (and hidden)
+        }
+
+        const { blocks, shortfalls } = getStudyPlan();
+        const todayKey = getTodayKey();
+        const subjectColorMap = getSubjectColorMap();
+
+        const heading = document.createElement('h3');
+        heading.textContent = "Today's Study Plan";
+        studyPlanSection.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'study-today-list';
+        (blocks[todayKey] || []).forEach(block => {
+            const task = tasks.find(t => t.id === block.taskId);
+            const item = document.createElement('li');
+            item.style.borderLeftColor = subjectColorMap[task.subject] || '#007bff';
+
+            const label = document.createElement('span');
+            const left = task.estimatedHours - getLoggedHours(task);
+            label.textContent = `${task.subject}: ${task.assessment} — ${formatHours(block.hours)} (${formatHours(left)} left, due ${formatDeadline(task)})`;
+            item.appendChild(label);
+
+            const logBtn = document.createElement('button');
+            logBtn.textContent = 'Log Time';
+            logBtn.addEventListener('click', () => logStudyTime(task.id, block.hours));
+            item.appendChild(logBtn);
+            list.appendChild(item);
+        });
+        if (!list.hasChildNodes()) {
+            const item = document.createElement('li');
+            item.className = 'study-empty';
+            item.textContent = isStudyDayOff(todayKey, getStudySettings()) ? 'Day off — nothing planned.' : 'Nothing left to study today.';
+            list.appendChild(item);
+        }
+        studyPlanSection.appendChild(list);
+
+        const loggedToday = tasks.reduce((sum, task) => sum + getLoggedHours(task, todayKey), 0);
+        if (loggedToday > 0) {
+            const logged = document.createElement('p');
+            logged.className = 'study-logged';
+            logged.textContent = `Logged today: ${formatHours(loggedToday)}`;
+            studyPlanSection.appendChild(logged);
+        }
+
+        shortfalls.forEach(shortfall => {
+            const warning = document.createElement('p');
+            warning.className = 'grade-warning';
+            warning.textContent = `⚠️ ${describeShortfall(shortfall)}`;
+            studyPlanSection.appendChild(warning);
+        });
+
+        // Pop up a warning when a change makes another task stop fitting
+        const profileName = getTrackerData().activeProfile;
+        const keys = new Set(shortfalls.map(({ task }) => `${profileName}|${task.id}`));
+        const newShortfalls = shortfalls.filter(({ task }) => lastShortfallKeys && !lastShortfallKeys.has(`${profileName}|${task.id}`));
+        const sameProfile = lastShortfallKeys && [...lastShortfallKeys].every(key => key.startsWith(`${profileName}|`));
+        if (sameProfile && newShortfalls.length > 0) {
+            showToast(`⚠️ ${describeShortfall(newShortfalls[0])}${newShortfalls.length > 1 ? ` (+${newShortfalls.length - 1} more)` : ''}`);
+        }
+        lastShortfallKeys = keys.size > 0 ? keys : new Set([`${profileName}|`]);
+    }
+
+    function logStudyTime(taskId, suggestedHours) {
+        const tasks = getEditableAssessments();
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const input = prompt(`How many hours did you spend on "${task.assessment}" today?`, Math.round(suggestedHours * 10) / 10);
+        if (input === null) return;
+        const hours = parseFloat(input);
+        if (isNaN(hours) || hours <= 0 || hours > 24) {
+            alert('Please enter a number of hours between 0 and 24.');
+            return;
+        }
+
+        task.workLog = [...(task.workLog || []), { date: getTodayKey(), hours }];
+        updateCurrentProfileAssessments(tasks, `Log study time on "${task.assessment}"`);
+        filterAssessments();
+        renderCalendar();
+    }
+
+    function openStudySettings() {
+        profileMenu?.classList.add('hidden');
+        const settings = getStudySettings();
+        const body = openModal('Study Planner Settings');
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Give assessments an estimated number of hours in the form and the planner spreads them over the days before each deadline.';
+        body.appendChild(intro);
+
+        const hoursLabel = document.createElement('label');
+        hoursLabel.className = 'modal-field';
+        hoursLabel.textContent = 'Hours I can study per day ';
+        const hoursInput = document.createElement('input');
+        hoursInput.type = 'number';
+        hoursInput.min = '0.5';
+        hoursInput.max = '24';
+        hoursInput.step = '0.5';
+        hoursInput.value = settings.dailyHours;
+        hoursLabel.appendChild(hoursInput);
+        body.appendChild(hoursLabel);
+
+        const weekdays = document.createElement('div');
+        weekdays.className = 'modal-field study-weekdays';
+        weekdays.appendChild(document.createTextNode('Days off every week: '));
+        ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach((name, day) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = day;
+            checkbox.checked = settings.daysOff.includes(day);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${name}`));
+            weekdays.appendChild(label);
+        });
+        body.appendChild(weekdays);
+
+        const datesLabel = document.createElement('label');
+        datesLabel.className = 'modal-field';
+        datesLabel.textContent = 'Other days off ';
+        const datesInput = document.createElement('input');
+        datesInput.type = 'text';
+        datesInput.placeholder = 'e.g. 2026-12-21..2027-01-03, 2026-11-11';
+        datesInput.value = settings.offDates.join(', ');
+        datesLabel.appendChild(datesInput);
+        body.appendChild(datesLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            const dailyHours = parseFloat(hoursInput.value);
+            if (isNaN(dailyHours) || dailyHours <= 0 || dailyHours > 24) {
+                alert('Daily study hours must be more than 0 and at most 24.');
+                return;
+            }
+            const offDates = parseSkipDates(datesInput.value);
+            if (offDates === null) {
+                alert('Days off must be dates (YYYY-MM-DD) or ranges (YYYY-MM-DD..YYYY-MM-DD), separated by commas.');
+                return;
             }
+            const daysOff = [...weekdays.querySelectorAll('input:checked')].map(box => Number(box.value));
+            if (daysOff.length === 7) {
+                alert('Leave at least one day of the week for studying.');
+                return;
+            }
+
+            const data = getTrackerData();
+            data.profiles[data.activeProfile].studySettings = { dailyHours, daysOff, offDates: [...new Set(offDates)].sort() };
+            setTrackerData(data, 'Change study planner settings');
+            closeModal();
+            filterAssessments();
+            renderCalendar();
         });
+        actions.appendChild(saveBtn);
+        body.appendChild(actions);
+    }
 
-        if (overdueCount > 0) {
-            reminderMessage.textContent = `🚨 ${overdueCount} task(s) are overdue! Please address them.`;
-            reminderBanner.classList.remove('hidden');
-            reminderBanner.style.backgroundColor = '#d9534f'; // Red for overdue
-        } else if (urgentCount > 0) {
-            reminderMessage.textContent = `⚠️ ${urgentCount} task(s) are due in the next 3 days.`;
-            reminderBanner.classList.remove('hidden');
-            reminderBanner.style.backgroundColor = '#ff9800'; // Orange for urgent
+
+    // =================================================================
+    // CALENDAR VIEW FUNCTIONS
+    // =================================================================
+    
+    // Month and week views draw a grid of day cells; the agenda lists the next few days that have
+    // something due. In every mode, [data-date] cells accept dropped task markers.
+    function renderCalendar() {
+        if (!calendarGrid || !calendarHeader) return;
+
+        calendarGrid.classList.toggle('hidden', calendarMode === 'agenda');
+        calendarAgenda?.classList.toggle('hidden', calendarMode !== 'agenda');
+        agendaDaysSelect?.classList.toggle('hidden', calendarMode !== 'agenda');
+
+        const tasks = getVisibleAssessments().filter(t => showCompletedOnCalendar || !t.completed);
+        const subjectColorMap = getSubjectColorMap();
+        const workload = showWorkloadHeatmap ? computeWorkload(tasks) : null;
+        const studyPlan = getStudyPlan();
+        const studySettings = getStudySettings();
+
+        if (calendarMode === 'agenda') {
+            renderAgenda(tasks, subjectColorMap, workload, studyPlan);
+            return;
+        }
+
+        // Days of the week header (7 items)
+        calendarGrid.innerHTML = '<div>Sun</div><div>Mon</div><div>Tue</div><div>Wed</div><div>Thu</div><div>Fri</div><div>Sat</div>'; 
+        calendarGrid.classList.toggle('week-mode', calendarMode === 'week');
+
+        const year = currentCalendarDate.getFullYear();
+        const month = currentCalendarDate.getMonth();
+        const todayKey = getTodayKey();
+
+        let startDate;
+        let dayCount;
+        if (calendarMode === 'week') {
+            // The Sunday-to-Saturday week containing currentCalendarDate
+            startDate = new Date(year, month, currentCalendarDate.getDate() - currentCalendarDate.getDay());
+            dayCount = 7;
+            const endDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 6);
+            calendarHeader.textContent = `${startDate.toLocaleDateString('default', { month: 'short', day: 'numeric' })} – ${endDate.toLocaleDateString('default', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        } else {
+            // Render 6 rows of 7 days (42 cells total) starting on the Sunday before the 1st
+            startDate = new Date(year, month, 1 - new Date(year, month, 1).getDay());
+            dayCount = 42;
+            calendarHeader.textContent = currentCalendarDate.toLocaleString('default', { month: 'long', year: 'numeric' });
+        }
+
+        for (let i = 0; i < dayCount; i++) { 
+            const date = new Date(startDate);
+            date.setDate(startDate.getDate() + i);
+            const dateKey = formatDateKey(date);
+            
+            const dayCell = document.createElement('div');
+            dayCell.dataset.date = dateKey;
+            dayCell.textContent = date.getDate();
+            
+            // Add class for visual separation of current month (every day of a week view counts)
+            if (calendarMode === 'week' || date.getMonth() === month) {
+                dayCell.classList.add('current-month');
+            } else {
+                dayCell.style.opacity = '0.5'; 
+            }
+            
+            // Highlight today's date
+            if (dateKey === todayKey) {
+                dayCell.classList.add('today');
+            }
+            
+            if (workload) {
+                addWorkloadOverlay(dayCell, dateKey, workload, i % 7 === 0);
+            }
+
+            if (isStudyDayOff(dateKey, studySettings)) {
+                dayCell.classList.add('study-day-off');
+            }
+
+            appendDayItems(dayCell, dateKey, tasks, subjectColorMap, studyPlan);
+            calendarGrid.appendChild(dayCell);
+        }
+    }
+
+    // Tints a day cell by its load; the first cell of each row also shows the week's total
+    function addWorkloadOverlay(dayCell, dateKey, workload, isWeekStart) {
+        const threshold = getWorkloadThreshold();
+        const dayLoad = workload.days[dateKey] || 0;
+        if (dayLoad > 0) {
+            dayCell.style.backgroundColor = getWorkloadColor(dayLoad, threshold);
+            dayCell.title = `${formatPercent(dayLoad)} of assessment weighting due`;
+        }
+        if (!isWeekStart) return;
+
+        const weekLoad = workload.weeks[dateKey] || 0;
+        if (weekLoad === 0) return;
+        const badge = document.createElement('span');
+        badge.className = 'week-load';
+        badge.classList.toggle('over-limit', weekLoad > threshold);
+        badge.textContent = `Week: ${formatPercent(weekLoad)}`;
+        badge.title = `Total weighting due this week (limit ${formatPercent(threshold)})`;
+        dayCell.appendChild(badge);
+    }
+
+    function renderAgenda(tasks, subjectColorMap, workload, studyPlan) {
+        const agendaDays = parseInt(agendaDaysSelect?.value) || 14;
+        const startKey = formatDateKey(currentCalendarDate);
+        const endKey = addDaysToDateKey(startKey, agendaDays - 1);
+        calendarHeader.textContent = `${parseDateKey(startKey).toLocaleDateString('default', { month: 'short', day: 'numeric' })} – ${parseDateKey(endKey).toLocaleDateString('default', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+        calendarAgenda.innerHTML = '';
+        for (let offset = 0; offset < agendaDays; offset++) {
+            const dateKey = addDaysToDateKey(startKey, offset);
+            const day = document.createElement('div');
+            day.className = 'agenda-day';
+            day.dataset.date = dateKey;
+
+            const items = document.createElement('div');
+            items.className = 'agenda-items';
+            appendDayItems(items, dateKey, tasks, subjectColorMap, studyPlan);
+            if (!items.hasChildNodes()) continue; // Only days with something on them are listed
+
+            const heading = document.createElement('h3');
+            heading.textContent = parseDateKey(dateKey).toLocaleDateString('default', { weekday: 'long', month: 'long', day: 'numeric' });
+            if (dateKey === getTodayKey()) heading.textContent += ' (Today)';
+            if (workload && workload.days[dateKey]) {
+                heading.textContent += ` · ${formatPercent(workload.days[dateKey])} due`;
+                day.style.backgroundColor = getWorkloadColor(workload.days[dateKey], getWorkloadThreshold());
+            }
+            day.classList.toggle('today', dateKey === getTodayKey());
+            day.appendChild(heading);
+            day.appendChild(items);
+            calendarAgenda.appendChild(day);
+        }
+
+        if (!calendarAgenda.hasChildNodes()) {
+            calendarAgenda.innerHTML = `<p class="agenda-empty">Nothing due in the next ${agendaDays} days.</p>`;
+        }
+    }
+
+    // Adds the markers for everything due on `dateKey`: assessments (earliest due time first),
+    // then smaller markers for the open checklist steps of unfinished assessments, then the
+    // study blocks the planner put on this day.
+    function appendDayItems(container, dateKey, tasks, subjectColorMap, studyPlan) {
+        const dueTasks = tasks.filter(task => task.deadline === dateKey)
+            .sort((a, b) => getDeadlineDate(a) - getDeadlineDate(b));
+
+        dueTasks.forEach(task => {
+            const marker = document.createElement('span');
+            marker.className = 'task-marker';
+            marker.classList.toggle('completed-marker', task.completed);
+            marker.dataset.taskId = task.id;
+            marker.draggable = true;
+            marker.textContent = task.dueTime ? `${task.dueTime} ${task.assessment}` : task.assessment;
+            marker.title = `${task.subject}: ${task.assessment}${task.dueTime ? ` (due ${task.dueTime})` : ''}${task.completed ? ' – completed' : ''}`;
+            marker.style.backgroundColor = subjectColorMap[task.subject] || '#007bff';
+            container.appendChild(marker);
+        });
+
+        tasks.forEach(task => {
+            if (task.completed) return;
+            (task.subtasks || []).forEach(subtask => {
+                if (subtask.done || !subtask.dueDate || subtask.dueDate !== dateKey) return;
+                const subMarker = document.createElement('span');
+                subMarker.className = 'subtask-marker';
+                subMarker.textContent = subtask.title;
+                subMarker.title = `${task.subject}: ${task.assessment} – ${subtask.title}`;
+                subMarker.style.borderColor = subjectColorMap[task.subject] || '#007bff';
+                container.appendChild(subMarker);
+            });
+        });
+
+        (studyPlan?.blocks[dateKey] || []).forEach(block => {
+            const task = tasks.find(t => t.id === block.taskId);
+            if (!task) return;
+            const studyMarker = document.createElement('span');
+            studyMarker.className = 'study-block';
+            studyMarker.textContent = `📚 ${formatHours(block.hours)} ${task.assessment}`;
+            studyMarker.title = `Study ${formatHours(block.hours)} for ${task.subject}: ${task.assessment}`;
+            studyMarker.style.borderColor = subjectColorMap[task.subject] || '#007bff';
+            container.appendChild(studyMarker);
+        });
+    }
+
+    // Moves a task to another day, keeping its due time. Only this occurrence of a series moves.
+    function rescheduleTask(taskId, dateKey) {
+        const task = getAssessments().find(t => t.id === taskId);
+        if (!task || task.deadline === dateKey) return;
+
+        updateAssessment({ id: taskId, deadline: dateKey });
+        showUndoToast(`Moved "${task.assessment}" to ${formatDeadline({ ...task, deadline: dateKey })}.`);
+    }
+
+    function setCalendarMode(mode) {
+        if (mode === calendarMode) return;
+        calendarMode = mode;
+        if (mode === 'agenda') currentCalendarDate = new Date(); // The agenda always starts from today
+        renderCalendar();
+    }
+
+    function stepCalendar(direction) {
+        if (calendarMode === 'week') {
+            currentCalendarDate.setDate(currentCalendarDate.getDate() + 7 * direction);
+        } else if (calendarMode === 'agenda') {
+            currentCalendarDate.setDate(currentCalendarDate.getDate() + (parseInt(agendaDaysSelect?.value) || 14) * direction);
         } else {
-            reminderBanner.classList.add('hidden');
+            // Step from the 1st so e.g. Jan 31 doesn't skip over February
+            currentCalendarDate.setDate(1);
+            currentCalendarDate.setMonth(currentCalendarDate.getMonth() + direction);
         }
+        renderCalendar();
+        syncUrlState(true);
     }
-    
+
+
     // =================================================================
-    // TASK RENDERING
+    // URL STATE (deep links, back/forward)
     // =================================================================
 
-    function renderAssessmentRow(task) {
-        const row = tableBody.insertRow();
-        row.id = `task-${task.id}`;
-        
-        // Apply color to the left border of the row
-        const color = getSubjectColorMap()[task.subject] || 'transparent';
-        row.style.borderLeft = `5px solid ${color}`;
-        
-        // Apply urgent/overdue styling for Notification feature
-        const daysUntil = (new Date(task.deadline) - new Date(new Date().toDateString())) / (1000 * 60 * 60 * 24);
-        if (!task.completed && daysUntil < 0) {
-            row.classList.add('overdue');
-        } else if (!task.completed && daysUntil <= 3) { 
-            row.classList.add('urgent');
+    // The view, tab, sort, calendar position and filters are mirrored in the
+    // hash, e.g. #view=calendar&month=2026-11&subject=Physics, so a refresh or
+    // a bookmark reopens the same view. Defaults are left out to keep links short.
+    function getUrlState() {
+        const params = new URLSearchParams();
+        if (currentView === 'calendar') {
+            params.set('view', 'calendar');
+            if (calendarMode === 'month') {
+                params.set('month', formatDateKey(currentCalendarDate).slice(0, 7));
+            } else {
+                params.set('mode', calendarMode);
+                params.set('date', formatDateKey(currentCalendarDate));
+            }
         }
-        
-        // 1. Subject Cell
-        row.insertCell().textContent = task.subject;
-        
-        // 2. Assessment Cell
-        row.insertCell().textContent = task.assessment;
-        
-        // 3. Deadline Cell
-        row.insertCell().textContent = task.deadline;
-
-        // 4. Weighting Cell
-        row.insertCell().textContent = task.weighting ? `${task.weighting}%` : '-';
-        
-        // 5. Notes Cell (Icon)
-        const notesCell = row.insertCell();
-        if (task.notes && task.notes.trim()) {
-            const notesIcon = document.createElement('span');
-            notesIcon.className = 'notes-indicator';
-            notesIcon.innerHTML = '&#9998;'; // Pencil emoji for notes
-            notesIcon.title = task.notes; // Tooltip to show content on hover
-            notesIcon.onclick = () => alert(`Notes for ${task.assessment}:\n\n${task.notes}`);
-            notesCell.appendChild(notesIcon);
-        } else {
-            notesCell.textContent = '-';
+        if (currentTab !== 'active') params.set('tab', currentTab);
+        if (currentSortColumn !== 'deadline' || sortDirection !== 1) {
+            params.set('sort', currentSortColumn);
+            if (sortDirection === -1) params.set('dir', 'desc');
         }
-        
-        // 6. Actions Cell
-        const actionsCell = row.insertCell();
-        
-        // Mark Complete Button
-        const completeBtn = document.createElement('button');
-        completeBtn.textContent = task.completed ? 'Undo' : 'Complete';
-        completeBtn.classList.add('complete-btn');
-        completeBtn.onclick = () => toggleCompletion(task.id);
-        actionsCell.appendChild(completeBtn);
-        
-        // Edit Button
-        const editBtn = document.createElement('button');
-        editBtn.textContent = 'Edit';
-        editBtn.classList.add('edit-btn');
-        editBtn.onclick = () => startEditing(task.id);
-        actionsCell.appendChild(editBtn);
-        
-        // Delete Button
-        const deleteBtn = document.createElement('button');
-        deleteBtn.textContent = 'Delete';
-        deleteBtn.classList.add('delete-btn');
-        deleteBtn.onclick = () => deleteAssessment(task.id);
-        actionsCell.appendChild(deleteBtn);
+        const query = searchInput?.value.trim();
+        if (query) params.set('q', query);
+        if (subjectFilter && subjectFilter.value !== 'All Subjects') params.set('subject', subjectFilter.value);
+        if (scoreFilter && scoreFilter.value !== 'all') params.set('score', scoreFilter.value);
+        return params.toString();
     }
-    
-    function renderAllAssessments(tasks) {
-        if (!tableBody) return;
-        tableBody.innerHTML = '';
-        if (tasks.length === 0) {
-            const row = tableBody.insertRow();
-            const cell = row.insertCell();
-            cell.colSpan = 6;
-            cell.textContent = 'No assessments found for this view.';
-            cell.style.textAlign = 'center';
-            return;
+
+    // Switching view or tab and paging the calendar push a history entry so
+    // back/forward step between them; filter and sort changes replace the
+    // current entry instead of adding one per keystroke.
+    function syncUrlState(push = false) {
+        const state = getUrlState();
+        const hash = state ? `#${state}` : '';
+        if (hash === location.hash) return;
+        const url = hash || location.pathname + location.search;
+        if (push) history.pushState(null, '', url);
+        else history.replaceState(null, '', url);
+    }
+
+    // Accepts YYYY-MM (the 1st of that month) or YYYY-MM-DD
+    function parseUrlDate(value) {
+        const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value || '');
+        if (!match) return null;
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1));
+        return formatDateKey(date).startsWith(`${match[1]}-${match[2]}`) ? date : null;
+    }
+
+    function updateViewToggle() {
+        document.querySelectorAll('#view-toggle button').forEach(button => {
+            const isActive = button.getAttribute('data-view') === currentView &&
+                (currentView !== 'calendar' || button.getAttribute('data-calendar-mode') === calendarMode);
+            button.classList.toggle('active', isActive);
+        });
+        listView?.classList.toggle('active', currentView === 'list');
+        calendarView?.classList.toggle('active', currentView === 'calendar');
+    }
+
+    function updateSortIndicators() {
+        document.querySelectorAll('#assessment-table th').forEach(th => {
+            const isSorted = th.getAttribute('data-column') === currentSortColumn;
+            th.classList.remove('sort-active', 'sort-asc', 'sort-desc');
+            if (isSorted) th.classList.add('sort-active', sortDirection === 1 ? 'sort-asc' : 'sort-desc');
+            const icon = th.querySelector('i');
+            if (icon) icon.className = !isSorted ? 'fas fa-sort' : sortDirection === 1 ? 'fas fa-sort-up' : 'fas fa-sort-down';
+        });
+    }
+
+    // Restores everything from the hash; unknown or missing values fall back to the defaults
+    function applyUrlState(hash = location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+        currentView = params.get('view') === 'calendar' ? 'calendar' : 'list';
+        calendarMode = ['week', 'agenda'].includes(params.get('mode')) ? params.get('mode') : 'month';
+        const date = parseUrlDate(params.get(calendarMode === 'month' ? 'month' : 'date'));
+        if (date) currentCalendarDate = date;
+        else if (calendarMode === 'agenda') currentCalendarDate = new Date();
+        updateViewToggle();
+
+        const tabs = [...document.querySelectorAll('#tab-controls button')].map(b => b.getAttribute('data-tab'));
+        currentTab = tabs.includes(params.get('tab')) ? params.get('tab') : 'active';
+        document.querySelectorAll('#tab-controls button').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-tab') === currentTab);
+        });
+
+        const columns = [...document.querySelectorAll('#assessment-table th[data-column]')].map(th => th.getAttribute('data-column'));
+        currentSortColumn = columns.includes(params.get('sort')) ? params.get('sort') : 'deadline';
+        sortDirection = params.get('dir') === 'desc' ? -1 : 1;
+        updateSortIndicators();
+
+        if (searchInput) searchInput.value = params.get('q') || '';
+        if (scoreFilter) {
+            scoreFilter.value = params.get('score') || 'all';
+            if (!scoreFilter.value) scoreFilter.value = 'all';
         }
-        tasks.forEach(renderAssessmentRow);
+        if (subjectFilter) {
+            // The options are only built while filtering, so fill them in before picking one
+            updateSubjectFilter(getVisibleAssessments());
+            subjectFilter.value = params.get('subject') || 'All Subjects';
+            if (!subjectFilter.value) subjectFilter.value = 'All Subjects';
+        }
+
+        filterAssessments();
+        renderCalendar();
     }
 
+
     // =================================================================
-    // CUSTOM COLOR/ICON PER SUBJECT FUNCTIONS
+    // OFFLINE SUPPORT & APP UPDATES (service worker)
     // =================================================================
 
-    function renderColorPicker(subject) {
-        const existingPicker = document.getElementById('subject-color-picker');
-        if (existingPicker) existingPicker.remove();
-        if (!subject || !notesInput) return; // Ensure notesInput exists for insertion
+    let waitingWorker = null;
 
-        const container = document.createElement('div');
-        container.id = 'subject-color-picker';
-        container.classList.add('color-picker-container');
-        
-        const currentColor = getSubjectColorMap()[subject] || 'transparent';
-        const label = document.createElement('span');
-        label.textContent = `Choose color for "${subject}":`;
-        container.appendChild(label);
+    // The service worker precaches the app so it opens offline. A new version installs in the
+    // background and waits; the user decides when to switch so nothing half-typed is lost.
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
 
-        COLORS.forEach(color => {
-            const option = document.createElement('div');
-            option.className = 'color-option';
-            option.style.backgroundColor = color;
-            option.setAttribute('data-color', color);
-            
-            if (color === currentColor) {
-                option.classList.add('selected');
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration.waiting);
             }
-
-            option.addEventListener('click', () => {
-                // Deselect all and select current
-                container.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('selected'));
-                option.classList.add('selected');
-                
-                // Update storage and UI
-                setSubjectColor(subject, color);
-                updateSubjectPreview(subject); 
-                filterAssessments(); 
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // With no controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateBanner(worker);
+                    }
+                });
             });
-            container.appendChild(option);
+        }).catch(error => console.warn('Service worker registration failed; offline mode is unavailable.', error));
+
+        // On the first visit clients.claim() also fires controllerchange; there is nothing to reload
+        // for then, only when a new version takes over (accepted here or in another tab)
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading || !hadController) return;
+            reloading = true;
+            saveFormDraft();
+            location.reload();
         });
+    }
 
-        // Insert the picker before the notes input
-        notesInput.parentNode.insertBefore(container, notesInput);
+    function showUpdateBanner(worker) {
+        waitingWorker = worker;
+        updateBanner?.classList.remove('hidden');
     }
-    
-    function updateSubjectPreview(subject) {
-        if (!subjectColorPreview) return;
-        const color = getSubjectColorMap()[subject];
-        subjectColorPreview.style.backgroundColor = color || 'transparent';
-        subjectColorPreview.style.border = color ? '1px solid #333' : '1px dashed #ced4da';
+
+    function applyUpdate() {
+        if (!waitingWorker) return;
+        updateBanner?.classList.add('hidden');
+        saveFormDraft();
+        waitingWorker.postMessage('SKIP_WAITING'); // The controllerchange listener reloads the page
+    }
+
+    // Keeps whatever is in the assessment form (and which task was being edited) across the reload
+    function saveFormDraft() {
+        const fields = {};
+        let hasInput = false;
+        Array.from(form.elements).forEach(element => {
+            if (!element.id || element.type === 'submit' || element.type === 'button') return;
+            fields[element.id] = element.type === 'checkbox' ? element.checked : element.value;
+            if (element.type !== 'checkbox' && element.tagName !== 'SELECT' && element.value) hasInput = true;
+        });
+        if (!hasInput && !editingTaskId) {
+            sessionStorage.removeItem(FORM_DRAFT_KEY);
+            return;
+        }
+        sessionStorage.setItem(FORM_DRAFT_KEY, JSON.stringify({ editingTaskId, fields }));
+    }
+
+    function restoreFormDraft() {
+        let draft;
+        try {
+            draft = JSON.parse(sessionStorage.getItem(FORM_DRAFT_KEY));
+        } catch (e) {
+            draft = null;
+        }
+        sessionStorage.removeItem(FORM_DRAFT_KEY);
+        if (!draft || !draft.fields) return;
+
+        // Re-open the edit first so its UI state (score fields, hidden recurrence) comes back
+        if (draft.editingTaskId && getAssessments().some(task => task.id === draft.editingTaskId)) {
+            startEditing(draft.editingTaskId);
+        }
+        Object.entries(draft.fields).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (!element || !form.contains(element)) return;
+            if (element.type === 'checkbox') element.checked = value;
+            else element.value = value;
+        });
+        updateRecurrenceControls();
+        updateSubjectPreview(subjectInput.value.trim());
+        renderColorPicker(subjectInput.value.trim());
+        showToast('Your unsaved form input was kept after the update.');
     }
 
+
     // =================================================================
-    // FORM SUBMISSION
+    // SERVER SYNC (optional, self-hosted)
     // =================================================================
 
-    form?.addEventListener('submit', (e) => {
-        e.preventDefault();
-        
-        const subject = subjectInput.value.trim();
-        const assessment = assessmentInput.value.trim();
-        const deadline = deadlineInput.value;
-        const weighting = weightingInput.value ? parseInt(weightingInput.value) : null; 
-        const notes = notesInput.value.trim(); 
+    // Contract: one JSON document at a URL the user sets, holding the same blob as a backup
+    // export (every profile). GET returns it with an ETag, or 404 before the first upload; PUT
+    // replaces it and carries If-Match (If-None-Match: * for the first upload) so the server can
+    // answer 412 when another device saved in between. A WebDAV folder does this out of the box.
+    //
+    // Each device keeps the document as of its last sync (the base). Local and server changes are
+    // merged against it record by record (tasks, terms and saved filters by id, colours, icons and
+    // repeat rules by key) and field by field, so offline edits on two devices combine. A field
+    // changed differently on both sides is a conflict the user settles; nothing is silently dropped.
 
-        const taskData = { subject, assessment, deadline, weighting, notes };
+    const SYNC_STATUS_DISPLAY = {
+        pending: ['fas fa-cloud-upload-alt', 'Not synced'],
+        syncing: ['fas fa-sync fa-spin', 'Syncing…'],
+        synced: ['fas fa-check-circle', 'Synced'],
+        offline: ['fas fa-plug', 'Offline'],
+        error: ['fas fa-exclamation-triangle', 'Sync failed'],
+        conflict: ['fas fa-code-branch', 'Conflicts']
+    };
+    const SYNC_FIELD_LABELS = {
+        subjectColors: 'Colour',
+        subjectIcons: 'Icon',
+        series: 'Repeat rule',
+        reminderSettings: 'Reminder settings',
+        workloadThreshold: 'Weekly workload limit',
+        studySettings: 'Study planner settings'
+    };
 
-        if (weighting !== null && (weighting < 0 || weighting > 100)) {
-            alert('Weighting must be between 0 and 100.');
-            return;
+    function getSyncSettings() {
+        try {
+            return { url: '', authorization: '', auto: true, ...JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY)) };
+        } catch (e) {
+            return { url: '', authorization: '', auto: true };
         }
+    }
 
-        if (editingTaskId) {
-            // Edit existing task
-            const updatedTask = { ...taskData, id: editingTaskId };
-            updateAssessment(updatedTask);
-            editingTaskId = null;
-            submitButton.textContent = 'Deploy Assessment';
-        } else {
-            // Add new task
-            const newTask = {
-                ...taskData,
-                id: Date.now(),
-                completed: false
-            };
-            
-            // Handle Subject Color Assignment
-            const subjectMap = getSubjectColorMap();
-            const currentSelectedColor = document.querySelector('#subject-color-picker .color-option.selected')?.getAttribute('data-color');
-            
-            if (!subjectMap.hasOwnProperty(subject) && currentSelectedColor) {
-                setSubjectColor(subject, currentSelectedColor);
-            } else if (!subjectMap.hasOwnProperty(subject)) {
-                 // New subject, but no color selected, use the first color as a default
-                setSubjectColor(subject, COLORS[0]);
-            }
-            
-            const tasks = getAssessments();
-            tasks.push(newTask);
-            updateCurrentProfileAssessments(tasks);
-        }
+    function setSyncStatus(status, message = '') {
+        syncStatus = status;
+        if (!syncStatusButton) return;
+        const display = SYNC_STATUS_DISPLAY[status];
+        syncStatusButton.classList.toggle('hidden', !display);
+        if (!display) return;
+        syncStatusButton.className = `sync-${status}`;
+        syncStatusButton.innerHTML = `<i class="${display[0]}"></i> `;
+        syncStatusButton.appendChild(document.createTextNode(display[1]));
+        syncStatusButton.title = message || display[1];
+    }
 
-        form.reset();
-        // Clean up UI
-        updateSubjectPreview('');
-        const existingPicker = document.getElementById('subject-color-picker');
-        if (existingPicker) existingPicker.remove();
-        filterAssessments(); 
-        renderCalendar();
-    });
+    // The base lives next to the data (IndexedDB, or localStorage without it)
+    function loadSyncBase() {
+        if (!trackerDb) return Promise.resolve(localStorage.getItem(SYNC_BASE_KEY));
+        const store = trackerDb.transaction(TRACKER_DB_STORE).objectStore(TRACKER_DB_STORE);
+        return requestToPromise(store.get(SYNC_BASE_KEY)).then(raw => raw ?? null);
+    }
 
-    // --- Task Management Functions ---
-    
-    function toggleCompletion(id) {
-        let tasks = getAssessments();
-        const taskIndex = tasks.findIndex(task => task.id == id);
-        if (taskIndex > -1) {
-            tasks[taskIndex].completed = !tasks[taskIndex].completed;
-            updateCurrentProfileAssessments(tasks);
+    function saveSyncBase(raw) {
+        if (!trackerDb) {
+            try {
+                if (raw === null) localStorage.removeItem(SYNC_BASE_KEY);
+                else localStorage.setItem(SYNC_BASE_KEY, raw);
+            } catch (e) {
+                // Without a base the next sync compares field by field from scratch; still safe
+                console.warn('No room to store the sync base.', e);
+            }
+            return Promise.resolve();
         }
-        filterAssessments();
-        renderCalendar();
+        const store = trackerDb.transaction(TRACKER_DB_STORE, 'readwrite').objectStore(TRACKER_DB_STORE);
+        return requestToPromise(raw === null ? store.delete(SYNC_BASE_KEY) : store.put(raw, SYNC_BASE_KEY));
     }
-    
-    function startEditing(id) {
-        const tasks = getAssessments();
-        const task = tasks.find(t => t.id == id);
-        if (!task) return;
 
-        editingTaskId = id;
-        subjectInput.value = task.subject;
-        assessmentInput.value = task.assessment;
-        deadlineInput.value = task.deadline;
-        weightingInput.value = task.weighting || '';
-        notesInput.value = task.notes || ''; 
-        
-        updateSubjectPreview(task.subject);
-        renderColorPicker(task.subject);
+    function syncRequest(method, body = null, headers = {}) {
+        const { url, authorization } = getSyncSettings();
+        if (authorization) headers = { ...headers, Authorization: authorization };
+        return fetch(url, { method, body, headers, cache: 'no-store' }).catch(() => {
+            const error = new Error("Couldn't reach the sync server. Changes will sync once it's back.");
+            error.offline = true;
+            throw error;
+        });
+    }
 
-        submitButton.textContent = 'Save Changes';
+    // Reads a synced blob like any stored one: migrated to the current schema and validated
+    function parseSyncedData(raw, source) {
+        try {
+            const data = migrateTrackerData(JSON.parse(raw));
+            validateTrackerData(data);
+            return data;
+        } catch (e) {
+            throw new Error(`The ${source} copy could not be read: ${e.message}`);
+        }
     }
 
-    // =================================================================
-    // FILTER, SORT, AND UI CONTROL FUNCTIONS
-    // =================================================================
-    
-    function sortAssessments(tasks) {
-        const compare = (a, b) => {
-            let valA = a[currentSortColumn];
-            let valB = b[currentSortColumn];
+    // Three-way merge of a single value: a change on one side wins, the same change on both is
+    // fine, and different changes on both sides are a conflict (the local value is kept for now)
+    function mergeValue(base, local, remote) {
+        if (isSameValue(local, remote) || isSameValue(base, remote)) return { value: local, conflict: false };
+        if (isSameValue(base, local)) return { value: remote, conflict: false };
+        return { value: local, conflict: true };
+    }
 
-            if (currentSortColumn === 'deadline') {
-                valA = new Date(valA);
-                valB = new Date(valB);
-            } else if (currentSortColumn === 'weighting') {
-                valA = valA || 0;
-                valB = valB || 0;
+    // `listMergers` merge list fields that changed on both sides entry by entry (see TASK_LIST_MERGERS).
+    // `remoteChoices` holds what each conflicting field would be if the server's side is chosen.
+    function mergeFields(base = {}, local, remote, listMergers = {}) {
+        const merged = {};
+        const conflicts = [];
+        const remoteChoices = {};
+        new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+            let { value, conflict } = mergeValue(base[key], local[key], remote[key]);
+            let remoteChoice = remote[key];
+            if (conflict && listMergers[key] && Array.isArray(local[key]) && Array.isArray(remote[key])) {
+                const baseList = Array.isArray(base[key]) ? base[key] : [];
+                ({ value, conflict, remoteChoice } = listMergers[key](baseList, local[key], remote[key]));
+            }
+            if (conflict) {
+                conflicts.push(key);
+                remoteChoices[key] = remoteChoice;
             }
+            if (value !== undefined) merged[key] = value;
+        });
+        return { merged, conflicts, remoteChoices };
+    }
 
-            if (valA < valB) return -1 * sortDirection;
-            if (valA > valB) return 1 * sortDirection;
-            return 0;
-        };
-        tasks.sort(compare);
-        return tasks;
+    // Steps and timed sessions have ids and merge like tasks, so ticking different steps or timing
+    // on two devices isn't a conflict. If one of them changed on both sides, the choice is between
+    // the list merged with this device's or with the server's version of it.
+    function mergeRecordList(base, local, remote) {
+        const hasIds = list => list.every(item => item && item.id !== undefined);
+        if (![base, local, remote].every(hasIds)) return { value: local, conflict: true, remoteChoice: remote };
+
+        let conflict = false;
+        const value = mergeById(base, local, remote, () => { conflict = true; });
+        const remoteChoice = conflict ? mergeById(base, local, remote, nested => nested.resolve(true)) : value;
+        return { value, conflict, remoteChoice };
     }
-    
-    function filterAssessments() {
-        let tasks = getAssessments();
-        const searchTerm = searchInput?.value.toLowerCase() || '';
-        const selectedSubject = subjectFilter?.value;
 
-        // 1. Tab Filtering
-        if (currentTab === 'active') {
-            tasks = tasks.filter(task => !task.completed);
-        } else if (currentTab === 'completed') {
-            tasks = tasks.filter(task => task.completed);
-        } // 'all' tab uses the full list
+    // Hours logged by hand ({ date, hours }) have no id: entries added on either side are kept
+    // and an entry removed on either side goes
+    function mergeEntryList(base, local, remote) {
+        const keysOf = list => new Set(list.map(stableStringify));
+        const baseKeys = keysOf(base);
+        const localKeys = keysOf(local);
+        const remoteKeys = keysOf(remote);
+        const kept = local.filter(entry => remoteKeys.has(stableStringify(entry)) || !baseKeys.has(stableStringify(entry)));
+        const added = remote.filter(entry => !baseKeys.has(stableStringify(entry)) && !localKeys.has(stableStringify(entry)));
+        return { value: [...kept, ...added], conflict: false };
+    }
 
-        // 2. Search Filtering
-        if (searchTerm) {
-            tasks = tasks.filter(task => 
-                task.subject.toLowerCase().includes(searchTerm) ||
-                task.assessment.toLowerCase().includes(searchTerm) ||
-                (task.notes && task.notes.toLowerCase().includes(searchTerm))
-            );
-        }
+    const TASK_LIST_MERGERS = { subtasks: mergeRecordList, sessions: mergeRecordList, workLog: mergeEntryList };
 
-        // 3. Subject Filtering
-        if (selectedSubject && selectedSubject !== 'All Subjects') {
-            tasks = tasks.filter(task => task.subject === selectedSubject);
-        }
+    // Merges lists of records with an `id`. onConflict receives { mine, theirs, fields, resolve }:
+    // `mine`/`theirs` are the record as this device or the server would have it (null = deleted),
+    // `fields` the fields both changed (null when one side deleted it) and resolve(useTheirs)
+    // settles it in the merged list. `listMergers` is passed on to mergeFields.
+    function mergeById(base = [], local = [], remote = [], onConflict, listMergers = {}) {
+        const toMap = list => new Map(list.map(item => [String(item.id), item]));
+        const baseMap = toMap(base);
+        const localMap = toMap(local);
+        const remoteMap = toMap(remote);
+        const merged = [];
 
-        // 4. Sorting
-        tasks = sortAssessments(tasks);
+        const addConflict = (id, mine, theirs, fields) => onConflict({
+            mine, theirs, fields,
+            resolve: (useTheirs) => {
+                const value = useTheirs ? theirs : mine;
+                const index = merged.findIndex(item => String(item.id) === id);
+                if (value === null) {
+                    if (index > -1) merged.splice(index, 1);
+                } else if (index === -1) merged.push(value);
+                else merged[index] = value;
+            }
+        });
 
-        renderAllAssessments(tasks);
-        updateSubjectFilter(getAssessments()); // Pass ALL tasks to update the filter list
-        checkForUrgentTasks();
-    }
+        new Set([...localMap.keys(), ...remoteMap.keys()]).forEach(id => {
+            const baseItem = baseMap.get(id);
+            const localItem = localMap.get(id);
+            const remoteItem = remoteMap.get(id);
 
-    function updateSubjectFilter(tasks) {
-        if (!subjectFilter) return;
-        
-        const uniqueSubjects = [...new Set(tasks.map(task => task.subject))].sort();
-        const currentValue = subjectFilter.value;
-        
-        subjectFilter.innerHTML = '<option>All Subjects</option>';
-        uniqueSubjects.forEach(subject => {
-            const option = document.createElement('option');
-            option.textContent = subject;
-            option.value = subject;
-            subjectFilter.appendChild(option);
+            if (localItem && remoteItem) {
+                const { merged: item, conflicts, remoteChoices } = mergeFields(baseItem, localItem, remoteItem, listMergers);
+                merged.push(item);
+                if (conflicts.length) {
+                    const theirs = { ...item };
+                    conflicts.forEach(field => {
+                        if (remoteChoices[field] === undefined) delete theirs[field];
+                        else theirs[field] = remoteChoices[field];
+                    });
+                    addConflict(id, item, theirs, conflicts);
+                }
+                return;
+            }
+
+            const item = localItem || remoteItem;
+            if (!baseItem) merged.push(item);               // Added on one side
+            else if (isSameValue(baseItem, item)) return;   // Deleted on the other side, untouched here
+            else {                                          // Deleted on one side, edited on the other
+                merged.push(item);
+                addConflict(id, localItem || null, remoteItem || null, null);
+            }
         });
-        
-        // Retain selected filter if possible
-        if (currentValue && (currentValue === 'All Subjects' || uniqueSubjects.includes(currentValue))) {
-             subjectFilter.value = currentValue;
-        } else {
-             subjectFilter.value = 'All Subjects';
-        }
+        return merged;
     }
 
-    // =================================================================
-    // PROFILE MANAGEMENT FUNCTIONS (CRITICAL)
-    // =================================================================
-    
-    function loadProfiles() {
-        if (!profileSelect) {
-            console.error("Profile select element is missing. Profile system non-functional.");
-            return;
-        }
-        
-        const data = getTrackerData();
-        const profileNames = Object.keys(data.profiles);
-        
-        console.log("Loading profiles:", profileNames, "Active:", data.activeProfile);
-        
-        profileSelect.innerHTML = ''; // Clear existing options
-        
-        profileNames.forEach(profileName => {
-            const option = document.createElement('option');
-            option.textContent = profileName;
-            option.value = profileName;
-            if (profileName === data.activeProfile) {
-                option.selected = true;
-                console.log(`Setting active profile in dropdown: ${profileName}`);
+    // Merges key → value maps (subject colours and icons, repeat rules) key by key
+    function mergeMap(base = {}, local = {}, remote = {}, onConflict) {
+        const merged = {};
+        new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+            const { value, conflict } = mergeValue(base[key], local[key], remote[key]);
+            if (value !== undefined) merged[key] = value;
+            if (conflict) {
+                onConflict({
+                    key, mine: local[key] ?? null, theirs: remote[key] ?? null, fields: null,
+                    resolve: (useTheirs) => {
+                        const chosen = useTheirs ? remote[key] : local[key];
+                        if (chosen === undefined) delete merged[key];
+                        else merged[key] = chosen;
+                    }
+                });
             }
-            profileSelect.appendChild(option);
         });
-        
-        // Ensure the menu is closed after loading
-        profileMenu?.classList.add('hidden'); 
-    }
-    
-    function switchProfile(newProfileName) {
-        const data = getTrackerData();
-        
-        if (!data.profiles.hasOwnProperty(newProfileName)) {
-            console.error(`Attempted to switch to non-existent profile: ${newProfileName}`);
-            return;
-        }
-        
-        data.activeProfile = newProfileName;
-        console.log(`Switching profile to: ${newProfileName}`);
-        
-        setTrackerData(data); // CRITICAL: Save the change immediately
-        
-        loadProfiles();
-        filterAssessments();
-        renderCalendar();
+        return merged;
     }
-    
-    function createNewProfile() {
-        const name = prompt("Enter a name for the new profile:");
-        if (name && name.trim()) {
-            const trimmedName = name.trim();
-            const data = getTrackerData();
-            if (data.profiles.hasOwnProperty(trimmedName)) {
-                alert("A profile with this name already exists.");
+
+    function mergeProfile(name, base = {}, local, remote, addConflict) {
+        const conflictAs = title => conflict => addConflict({ ...conflict, title: `${name} › ${title(conflict)}` });
+        const recordName = conflict => (conflict.mine || conflict.theirs);
+        const profile = {};
+
+        profile.tasks = mergeById(base.tasks, local.tasks, remote.tasks, conflictAs(c => `"${recordName(c).assessment}"`), TASK_LIST_MERGERS);
+        profile.terms = mergeById(base.terms, local.terms, remote.terms, conflictAs(c => `Term "${recordName(c).name}"`));
+        profile.savedFilters = mergeById(base.savedFilters, local.savedFilters, remote.savedFilters,
+            conflictAs(c => `Saved filter "${recordName(c).name}"`));
+        ['subjectColors', 'subjectIcons', 'series'].forEach(key => {
+            profile[key] = mergeMap(base[key], local[key], remote[key], conflictAs(c => `${SYNC_FIELD_LABELS[key]} of "${c.key}"`));
+        });
+
+        const handled = Object.keys(profile);
+        new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+            if (handled.includes(key)) return;
+            // The selected term is a view preference of this device
+            if (key === 'selectedTermId') {
+                profile[key] = local[key] ?? remote[key];
                 return;
             }
-            
-            // Create the new profile structure
-            data.profiles[trimmedName] = { tasks: [], subjectColors: {} };
-            setTrackerData(data); // Save the creation
-            
-            // Switch to the newly created profile, which calls loadProfiles()
-            switchProfile(trimmedName); 
-        }
+            const { value, conflict } = mergeValue(base[key], local[key], remote[key]);
+            profile[key] = value;
+            if (conflict) {
+                addConflict({
+                    title: `${name} › ${SYNC_FIELD_LABELS[key] || key}`,
+                    mine: local[key], theirs: remote[key], fields: null,
+                    resolve: (useTheirs) => { profile[key] = useTheirs ? remote[key] : local[key]; }
+                });
+            }
+        });
+        return profile;
     }
-    
-    function renameCurrentProfile() {
-        const data = getTrackerData();
-        const oldName = data.activeProfile;
-        const newName = prompt(`Rename profile "${oldName}" to:`);
 
-        if (newName && newName.trim() && newName.trim() !== oldName) {
-            const trimmedNewName = newName.trim();
-            if (data.profiles.hasOwnProperty(trimmedNewName)) {
-                alert("A profile with this name already exists.");
+    // Returns the merged data and the conflicts still to settle (see mergeById for their shape)
+    function mergeTrackerData(base, local, remote) {
+        const conflicts = [];
+        const profiles = {};
+        const baseProfiles = base?.profiles || {};
+
+        new Set([...Object.keys(local.profiles), ...Object.keys(remote.profiles)]).forEach(name => {
+            const baseProfile = baseProfiles[name];
+            const localProfile = local.profiles[name];
+            const remoteProfile = remote.profiles[name];
+
+            if (localProfile && remoteProfile) {
+                profiles[name] = mergeProfile(name, baseProfile, localProfile, remoteProfile, conflict => conflicts.push(conflict));
                 return;
             }
+            const profile = localProfile || remoteProfile;
+            if (!baseProfile) profiles[name] = profile;
+            else if (!isSameValue(baseProfile, profile)) {
+                profiles[name] = profile;
+                conflicts.push({
+                    title: `Profile "${name}"`,
+                    mine: localProfile || null, theirs: remoteProfile || null, fields: null,
+                    resolve: (useTheirs) => {
+                        const chosen = useTheirs ? remoteProfile : localProfile;
+                        if (chosen) profiles[name] = chosen;
+                        else delete profiles[name];
+                    }
+                });
+            }
+        });
 
-            const profileData = data.profiles[oldName];
-            delete data.profiles[oldName];
-            data.profiles[trimmedNewName] = profileData;
-            data.activeProfile = trimmedNewName;
-            
-            setTrackerData(data);
-            loadProfiles();
-        }
+        return { data: { schemaVersion: SCHEMA_VERSION, activeProfile: local.activeProfile, profiles }, conflicts };
     }
 
-    function deleteCurrentProfile() {
-        const data = getTrackerData();
-        const activeProfile = data.activeProfile;
-        const profileKeys = Object.keys(data.profiles);
+    function formatSyncValue(value) {
+        if (value === null || value === undefined) return '(none)';
+        if (typeof value !== 'object') return String(value);
+        const text = JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
 
-        if (profileKeys.length <= 1) {
-            alert("You must have at least one profile.");
-            return;
+    // For lists (steps, timed sessions) only the entries that differ from the other version are shown
+    function formatSyncField(value, other) {
+        if (!Array.isArray(value) || !Array.isArray(other)) return formatSyncValue(value);
+        const otherEntries = new Set(other.map(stableStringify));
+        const differing = value.filter(entry => !otherEntries.has(stableStringify(entry)));
+        return differing.length ? differing.map(formatSyncValue).join(', ') : '(none)';
+    }
+
+    function describeSyncChoice(conflict, value) {
+        if (value === null) return 'Deleted';
+        const other = value === conflict.mine ? conflict.theirs : conflict.mine;
+        if (conflict.fields) return conflict.fields.map(field => `${field}: ${formatSyncField(value[field], other?.[field])}`).join('; ');
+        if (value.assessment) return `${value.subject} – ${value.assessment}, due ${formatDeadline(value)}`;
+        if (value.tasks) return `${value.tasks.length} assessment(s)`;
+        return formatSyncValue(value);
+    }
+
+    function openSyncConflicts(conflicts, onResolved) {
+        const body = openModal('Sync Conflicts');
+        const intro = document.createElement('p');
+        intro.textContent = `${conflicts.length} change(s) were made both on this device and on the server since the last sync. Choose which version to keep for each.`;
+        body.appendChild(intro);
+
+        const table = document.createElement('table');
+        table.className = 'preview-table sync-conflict-table';
+        table.innerHTML = '<thead><tr><th>Item</th><th>This device</th><th>Server</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        const choices = conflicts.map((conflict, index) => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = conflict.title;
+            const radios = [conflict.mine, conflict.theirs].map((value, side) => {
+                const label = document.createElement('label');
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `sync-conflict-${index}`;
+                radio.checked = side === 0;
+                label.appendChild(radio);
+                label.appendChild(document.createTextNode(` ${describeSyncChoice(conflict, value)}`));
+                row.insertCell().appendChild(label);
+                return radio;
+            });
+            return radios[1];
+        });
+        table.appendChild(tbody);
+        body.appendChild(table);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const applyBtn = document.createElement('button');
+        applyBtn.textContent = 'Keep Selected & Sync';
+        applyBtn.addEventListener('click', () => {
+            conflicts.forEach((conflict, index) => {
+                syncDecisions.push({ title: conflict.title, mine: conflict.mine, theirs: conflict.theirs, useTheirs: choices[index].checked });
+            });
+            closeModal();
+            onResolved();
+        });
+        actions.appendChild(applyBtn);
+        body.appendChild(actions);
+    }
+
+    // One pass: download, merge, then either ask about conflicts or save and upload.
+    // Returns 'done', 'conflict', or 'retry' when the data changed underneath it.
+    // Choices made in the conflict dialog are applied to a fresh merge, so anything saved while
+    // the dialog was open is merged too; a conflict that has changed since is asked about again.
+    async function runSync() {
+        const localRaw = storedRecord.raw;
+        const local = getTrackerData();
+
+        const response = await syncRequest('GET');
+        let remote = null;
+        let etag = null;
+        if (response.status !== 404) {
+            if (!response.ok) throw new Error(`The server answered ${response.status} ${response.statusText}.`);
+            etag = response.headers.get('ETag');
+            const text = await response.text();
+            if (text.trim()) remote = parseSyncedData(text, "server's");
         }
 
-        if (confirm(`Are you sure you want to delete the profile "${activeProfile}" and all its data? This cannot be undone.`)) {
-            delete data.profiles[activeProfile];
-            
-            // Switch to the next available profile
-            const nextProfile = profileKeys.find(key => key !== activeProfile) || Object.keys(data.profiles)[0];
-            data.activeProfile = nextProfile;
-            
-            setTrackerData(data);
+        const baseRaw = await loadSyncBase();
+        const base = baseRaw ? parseSyncedData(baseRaw, 'last synced') : null;
+        if (!remote) return uploadMerge(local, { local, remote, etag, localRaw });
+
+        const { data: merged, conflicts } = mergeTrackerData(base, local, remote);
+        const undecided = conflicts.filter(conflict => {
+            const decision = syncDecisions.find(decided => decided.title === conflict.title &&
+                isSameValue(decided.mine, conflict.mine) && isSameValue(decided.theirs, conflict.theirs));
+            if (decision) conflict.resolve(decision.useTheirs);
+            return !decision;
+        });
+        if (undecided.length === 0) return uploadMerge(merged, { local, remote, etag, localRaw });
+
+        setSyncStatus('conflict', `${undecided.length} conflict(s) need a decision – click to review`);
+        // Never replace a dialog the user is working in; the status button reopens this later
+        if (!isModalOpen()) openSyncConflicts(undecided, () => syncNow());
+        return 'conflict';
+    }
+
+    async function uploadMerge(merged, { local, remote, etag, localRaw }) {
+        if (storedRecord.raw !== localRaw) return 'retry'; // Edited during the sync: merge again
+
+        if (!merged.profiles[merged.activeProfile]) merged.activeProfile = Object.keys(merged.profiles)[0];
+        if (!merged.activeProfile) return 'retry';
+        validateTrackerData(merged);
+
+        if (!isSameValue(merged, local)) {
+            // Not an undo step, and earlier undo snapshots would quietly roll back what came from
+            // the server (and the next sync would upload that), so the history starts again here
+            setTrackerData(merged);
+            saveHistory({ undo: [], redo: [] });
             loadProfiles();
             filterAssessments();
             renderCalendar();
         }
+        if (!remote || !isSameValue(merged, remote)) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (etag) headers['If-Match'] = etag;
+            else if (!remote) headers['If-None-Match'] = '*';
+            const response = await syncRequest('PUT', JSON.stringify(merged), headers);
+            if (response.status === 412) return 'retry'; // Another device saved first
+            if (!response.ok) throw new Error(`The server refused the upload (${response.status} ${response.statusText}).`);
+        }
+
+        await saveSyncBase(JSON.stringify(merged));
+        syncedRaw = storedRecord.raw;
+        syncDecisions = [];
+        setSyncStatus('synced', `Last synced ${new Date().toLocaleTimeString()}`);
+        return 'done';
     }
 
+    async function syncNow() {
+        if (!getSyncSettings().url || syncInProgress || storageReadOnly) return;
+        clearTimeout(syncTimer);
+        syncInProgress = true;
+        setSyncStatus('syncing');
+        try {
+            let outcome = await runSync();
+            for (let attempt = 0; outcome === 'retry' && attempt < 3; attempt++) outcome = await runSync();
+            if (outcome === 'retry') throw new Error('The data kept changing during the sync. It will be tried again shortly.');
+        } catch (e) {
+            setSyncStatus(e.offline ? 'offline' : 'error', e.message);
+        } finally {
+            syncInProgress = false;
+        }
+        // Changes made while the upload was in flight go out with the next sync
+        if (syncStatus === 'synced' && storedRecord.raw !== syncedRaw) scheduleSync();
+    }
 
-    // =================================================================
-    // CALENDAR VIEW FUNCTIONS
-    // =================================================================
-    
-    function renderCalendar() {
-        if (!calendarGrid || !calendarHeader) return;
-        
-        calendarHeader.textContent = currentCalendarDate.toLocaleString('default', { month: 'long', year: 'numeric' });
-        
-        // Days of the week header (7 items)
-        calendarGrid.innerHTML = '<div>Sun</div><div>Mon</div><div>Tue</div><div>Wed</div><div>Thu</div><div>Fri</div><div>Sat</div>'; 
-        
-        const tasks = getAssessments().filter(t => !t.completed);
-        const subjectColorMap = getSubjectColorMap();
-        
-        const year = currentCalendarDate.getFullYear();
-        const month = currentCalendarDate.getMonth();
-        
-        // Get the day of the week for the first day of the current month (0=Sun, 6=Sat)
-        const firstDayOfMonth = new Date(year, month, 1).getDay(); 
-        
-        // Date object representing today, normalized to midnight
-        const today = new Date(new Date().toDateString()).getTime();
+    // Called after every save; automatic sync waits for a pause in editing
+    function scheduleSync() {
+        const settings = getSyncSettings();
+        if (!settings.url || syncInProgress || syncStatus === 'conflict') return;
+        setSyncStatus('pending', 'Changes on this device have not been synced yet');
+        if (!settings.auto) return;
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(syncInBackground, SYNC_DEBOUNCE);
+    }
 
-        // Calculate the start date for the calendar grid (the first Sunday)
-        const startDate = new Date(year, month, 1 - firstDayOfMonth);
+    // Syncs nobody asked for wait while conflicts await a decision (the dialog would keep
+    // reopening) or while a dialog is open; the next one after that catches up
+    function syncInBackground() {
+        if (syncStatus === 'conflict' || isModalOpen()) return;
+        syncNow();
+    }
 
-        // Render 6 rows of 7 days (42 cells total) to ensure full month visibility
-        for (let i = 0; i < 42; i++) { 
-            const date = new Date(startDate);
-            date.setDate(startDate.getDate() + i);
-            
-            const dayCell = document.createElement('div');
-            
-            // Display the day number
-            dayCell.textContent = date.getDate();
-            
-            // Add class for visual separation of current month
-            if (date.getMonth() === month) {
-                dayCell.classList.add('current-month');
-            } else {
-                dayCell.style.opacity = '0.5'; 
-            }
-            
-            // Highlight today's date
-            if (date.getTime() === today) {
-                dayCell.classList.add('today');
+    function openSyncSettings() {
+        profileMenu?.classList.add('hidden');
+        const settings = getSyncSettings();
+        const body = openModal('Sync Settings');
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Sync keeps every profile in step across your devices through a server you host. ' +
+            'It needs an address that answers GET and PUT with ETags, such as a file in a WebDAV folder.';
+        body.appendChild(intro);
+
+        const addField = (labelText, value, type = 'text') => {
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            const input = document.createElement('input');
+            input.type = type;
+            input.value = value;
+            label.appendChild(input);
+            body.appendChild(label);
+            return input;
+        };
+        const urlInput = addField('Server address ', settings.url, 'url');
+        urlInput.placeholder = 'https://example.org/dav/tracker.json';
+        const authInput = addField('Authorization header (optional) ', settings.authorization, 'password');
+        authInput.placeholder = 'Bearer … or Basic …';
+
+        const autoLabel = document.createElement('label');
+        const autoInput = document.createElement('input');
+        autoInput.type = 'checkbox';
+        autoInput.checked = settings.auto;
+        autoLabel.appendChild(autoInput);
+        autoLabel.appendChild(document.createTextNode(' Sync automatically after changes and every few minutes'));
+        body.appendChild(autoLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save & Sync Now';
+        saveBtn.addEventListener('click', async () => {
+            const url = urlInput.value.trim();
+            if (!/^https?:\/\//i.test(url)) {
+                alert('Enter the full server address, starting with https:// (or http://).');
+                return;
             }
-            
-            // Add task markers
-            tasks.forEach(task => {
-                const taskDate = new Date(task.deadline);
-                // Check if the task deadline matches the current calendar day
-                if (taskDate.toDateString() === date.toDateString()) {
-                    const marker = document.createElement('span');
-                    marker.className = 'task-marker';
-                    marker.textContent = task.assessment;
-                    marker.title = `${task.subject}: ${task.assessment}`;
-                    marker.style.backgroundColor = subjectColorMap[task.subject] || '#007bff';
-                    dayCell.appendChild(marker);
-                }
-            });
+            // A different server starts from a clean slate
+            if (url !== settings.url) await saveSyncBase(null);
+            localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify({ url, authorization: authInput.value.trim(), auto: autoInput.checked }));
+            closeModal();
+            syncNow();
+        });
+        actions.appendChild(saveBtn);
 
-            calendarGrid.appendChild(dayCell);
+        if (settings.url) {
+            const offBtn = document.createElement('button');
+            offBtn.textContent = 'Turn Off Sync';
+            offBtn.className = 'delete-btn';
+            offBtn.addEventListener('click', async () => {
+                if (!confirm('Stop syncing this device? Your data stays here; the server copy is not touched.')) return;
+                localStorage.removeItem(SYNC_SETTINGS_KEY);
+                await saveSyncBase(null);
+                clearTimeout(syncTimer);
+                setSyncStatus('off');
+                closeModal();
+            });
+            actions.appendChild(offBtn);
         }
+        body.appendChild(actions);
     }
 
 
@@ -773,10 +6170,20 @@ document.addEventListener('DOMContentLoaded', () => {
     // EVENT LISTENERS
     // =================================================================
     
-    // Notifications Dismiss
-    reminderCloseBtn?.addEventListener('click', () => {
-        reminderBanner?.classList.add('hidden');
+    // Notifications Dismiss / Snooze
+    reminderCloseBtn?.addEventListener('click', dismissReminderBanner);
+    reminderSnoozeControls?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-snooze]');
+        if (button) snoozeActiveReminder(parseInt(button.dataset.snooze));
     });
+    reminderSettingsButton?.addEventListener('click', openReminderSettings);
+    syncSettingsButton?.addEventListener('click', openSyncSettings);
+    syncStatusButton?.addEventListener('click', () => syncNow());
+    window.addEventListener('online', syncInBackground);
+
+    // App update banner
+    updateReloadBtn?.addEventListener('click', applyUpdate);
+    updateLaterBtn?.addEventListener('click', () => updateBanner?.classList.add('hidden'));
 
     // Subject Color Picker trigger on input
     subjectInput?.addEventListener('input', () => {
@@ -785,6 +6192,41 @@ document.addEventListener('DOMContentLoaded', () => {
         renderColorPicker(subject);
     });
 
+    // Undo / Redo Shortcuts (text fields keep their own native undo)
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    // Target Grade Calculator
+    gradeCalculatorBtn?.addEventListener('click', () => {
+        if (subjectFilter.value !== 'All Subjects') {
+            openGradeCalculator(subjectFilter.value);
+        }
+    });
+
+    // Modal Dialog Close (button, backdrop click or Escape)
+    modalCloseBtn?.addEventListener('click', closeModal);
+    modalOverlay?.addEventListener('click', (e) => {
+        if (e.target === modalOverlay) closeModal();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isModalOpen()) closeModal();
+    });
+
+    // Recurrence Controls
+    recurrenceFrequencyInput?.addEventListener('change', updateRecurrenceControls);
+    recurrenceEndTypeInput?.addEventListener('change', updateRecurrenceControls);
+
     // Profile Settings Toggle
     profileSettingsBtn?.addEventListener('click', () => {
         profileMenu?.classList.toggle('hidden');
@@ -794,11 +6236,54 @@ document.addEventListener('DOMContentLoaded', () => {
     profileSelect?.addEventListener('change', (e) => switchProfile(e.target.value));
     addProfileButton?.addEventListener('click', createNewProfile);
     renameProfileButton?.addEventListener('click', renameCurrentProfile);
+    duplicateProfileButton?.addEventListener('click', openDuplicateProfileDialog);
+    workloadLimitButton?.addEventListener('click', changeWorkloadThreshold);
+    studySettingsButton?.addEventListener('click', openStudySettings);
     deleteProfileButton?.addEventListener('click', deleteCurrentProfile);
+
+    // Terms
+    termSelect?.addEventListener('change', (e) => selectTerm(e.target.value));
+    manageTermsButton?.addEventListener('click', openTermManager);
+
+    // Subjects
+    manageSubjectsButton?.addEventListener('click', openSubjectManager);
+
+    // Running timer
+    timerStopBtn?.addEventListener('click', stopTimer);
     
     // Export Data Listener
     exportDataButton?.addEventListener('click', exportData);
     
+    // Calendar Export Listener
+    exportCalendarButton?.addEventListener('click', openCalendarExportDialog);
+
+    // Calendar Import Listener
+    importCalendarButton?.addEventListener('click', () => {
+        profileMenu?.classList.add('hidden');
+        importCalendarFileInput.click();
+    });
+    importCalendarFileInput?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importCalendarFile(file);
+        }
+        e.target.value = ''; // Allow the same file to be picked again
+    });
+
+    // CSV Export/Import Listeners
+    exportCsvButton?.addEventListener('click', exportCsv);
+    importCsvButton?.addEventListener('click', () => {
+        profileMenu?.classList.add('hidden');
+        importCsvFileInput.click();
+    });
+    importCsvFileInput?.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importCsvFile(file);
+        }
+        e.target.value = '';
+    });
+
     // Import Data Listener
     importDataButton?.addEventListener('click', () => importFileInput.click());
     importFileInput?.addEventListener('change', (e) => {
@@ -806,6 +6291,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (file) {
             importData(file);
         }
+        e.target.value = ''; // Allow the same backup to be picked again
     });
 
     // Tab Controls
@@ -814,31 +6300,32 @@ document.addEventListener('DOMContentLoaded', () => {
             document.querySelector('#tab-controls button.active')?.classList.remove('active');
             e.target.classList.add('active');
             currentTab = e.target.getAttribute('data-tab');
+            syncUrlState(true); // Before filtering, which would otherwise replace the entry being left
             filterAssessments();
         }
     });
 
     // Filter/Search Controls
     searchInput?.addEventListener('input', filterAssessments);
+    saveFilterButton?.addEventListener('click', saveCurrentFilter);
     subjectFilter?.addEventListener('change', filterAssessments);
+    scoreFilter?.addEventListener('change', filterAssessments);
 
     // View Toggle
     viewToggle?.addEventListener('click', (e) => {
         if (e.target.closest('button')) {
             const button = e.target.closest('button');
             const newView = button.getAttribute('data-view');
+            const newMode = button.getAttribute('data-calendar-mode');
             
-            if (newView !== currentView) {
-                 document.querySelector('#view-toggle button.active')?.classList.remove('active');
-                 button.classList.add('active');
+            if (newView !== currentView || (newMode && newMode !== calendarMode)) {
                  currentView = newView;
-                 
-                 listView?.classList.toggle('active', currentView === 'list');
-                 calendarView?.classList.toggle('active', currentView === 'calendar');
-                 
                  if (currentView === 'calendar') {
-                     renderCalendar();
+                     if (newMode !== calendarMode) setCalendarMode(newMode);
+                     else renderCalendar();
                  }
+                 updateViewToggle();
+                 syncUrlState(true);
             }
         }
     });
@@ -849,13 +6336,6 @@ document.addEventListener('DOMContentLoaded', () => {
         if (th && th.getAttribute('data-column')) {
             const newColumn = th.getAttribute('data-column');
             
-            // Reset previous sort indicator
-            document.querySelectorAll('#assessment-table th').forEach(h => {
-                h.classList.remove('sort-active', 'sort-asc', 'sort-desc');
-                const icon = h.querySelector('i');
-                if (icon) icon.className = 'fas fa-sort';
-            });
-
             if (currentSortColumn === newColumn) {
                 sortDirection *= -1;
             } else {
@@ -863,35 +6343,102 @@ document.addEventListener('DOMContentLoaded', () => {
                 sortDirection = 1; // Default to ascending for a new column
             }
 
-            th.classList.add('sort-active', sortDirection === 1 ? 'sort-asc' : 'sort-desc');
-            const icon = th.querySelector('i');
-            if (icon) icon.className = sortDirection === 1 ? 'fas fa-sort-up' : 'fas fa-sort-down';
-            
+            updateSortIndicators();
             filterAssessments();
         }
     });
 
-    // Calendar Navigation
-    prevMonthBtn?.addEventListener('click', () => {
-        currentCalendarDate.setMonth(currentCalendarDate.getMonth() - 1);
-        renderCalendar();
+    // Multi-select & Bulk Actions
+    selectAllCheckbox?.addEventListener('change', () => selectAllShown(selectAllCheckbox.checked));
+    bulkActionsBar?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-bulk]');
+        if (button) runBulkAction(button.getAttribute('data-bulk'));
     });
 
-    nextMonthBtn?.addEventListener('click', () => {
-        currentCalendarDate.setMonth(currentCalendarDate.getMonth() + 1);
+    // Back/forward, or a link edited in the address bar
+    window.addEventListener('popstate', () => applyUrlState());
+
+    // Calendar Navigation (a month, a week or the agenda's length at a time)
+    prevMonthBtn?.addEventListener('click', () => stepCalendar(-1));
+    nextMonthBtn?.addEventListener('click', () => stepCalendar(1));
+    agendaDaysSelect?.addEventListener('change', renderCalendar);
+    heatmapToggle?.addEventListener('change', () => {
+        showWorkloadHeatmap = heatmapToggle.checked;
+        renderCalendar();
+    });
+    showCompletedToggle?.addEventListener('change', () => {
+        showCompletedOnCalendar = showCompletedToggle.checked;
         renderCalendar();
     });
+
+    // Clicking a marker opens the task in the edit form
+    calendarView?.addEventListener('click', (e) => {
+        const marker = e.target.closest('.task-marker[data-task-id]');
+        if (!marker) return;
+        startEditing(Number(marker.dataset.taskId));
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    // Drag a marker onto another day to reschedule it
+    calendarView?.addEventListener('dragstart', (e) => {
+        const marker = e.target.closest('.task-marker[data-task-id]');
+        if (!marker) return;
+        e.dataTransfer.setData('text/plain', marker.dataset.taskId);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    calendarView?.addEventListener('dragover', (e) => {
+        const day = e.target.closest('[data-date]');
+        if (!day) return;
+        e.preventDefault(); // Allows the drop
+        e.dataTransfer.dropEffect = 'move';
+        day.classList.add('drop-target');
+    });
+
+    calendarView?.addEventListener('dragleave', (e) => {
+        const day = e.target.closest('[data-date]');
+        if (day && !day.contains(e.relatedTarget)) day.classList.remove('drop-target');
+    });
+
+    calendarView?.addEventListener('drop', (e) => {
+        const day = e.target.closest('[data-date]');
+        if (!day) return;
+        e.preventDefault();
+        day.classList.remove('drop-target');
+        const taskId = Number(e.dataTransfer.getData('text/plain'));
+        if (taskId) rescheduleTask(taskId, day.dataset.date);
+    });
     
     // --- Initialization ---
 
-    function init() {
+    async function init() {
+        // Read the deep link before loading, whose first render rewrites the hash
+        const linkedHash = location.hash;
+
+        await loadTrackerStore();
+
         // Load profiles first to establish data context
         loadProfiles(); 
         
-        // Render UI based on the active profile
-        filterAssessments();
-        renderCalendar();
+        // Render UI based on the active profile, in the view named by the URL
+        applyUrlState(linkedHash);
         checkForUrgentTasks();
+
+        // Reminders are checked now and then every minute while the page is open
+        checkReminders();
+        setInterval(checkReminders, REMINDER_CHECK_INTERVAL);
+
+        // Pick up a timer that was running before the page was reloaded
+        startTimerTicker();
+
+        restoreFormDraft();
+        registerServiceWorker();
+
+        // Server sync, when this device has one set up
+        syncNow();
+        setInterval(() => {
+            if (getSyncSettings().auto) syncInBackground();
+        }, SYNC_INTERVAL);
     }
     
     init();
@@ -0,0 +1,59 @@
+// Service worker: precaches the app shell so the tracker works offline and can be installed.
+// Bump CACHE_VERSION whenever any of the files below change; the page then offers an update.
+const CACHE_VERSION = 'v31';
+const CACHE_NAME = `academic-tracker-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: a new version waits until the page asks for it (see SKIP_WAITING),
+    // so an open tab never has its script swapped out from under unsaved input.
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('academic-tracker-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Cache first for the app shell, network for everything else. Page navigations fall back
+// to the cached index.html so the app still opens offline (e.g. with a #hash or ?query).
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).catch(() => {
+                if (request.mode === 'navigate') return caches.match('index.html');
+                throw new Error(`Offline and ${request.url} is not cached.`);
+            });
+        })
+    );
+});